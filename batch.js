@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/* ============================================================
+   BATCH CONDITION SWEEPS
+
+   Runs the growth model (model.js) headlessly over a grid of
+   conditions — every combination of the listed values — and
+   writes the sampled time series as CSV and/or JSON.
+
+   Usage:
+     node batch.js --variety cress,bean --gravity 0,0.16,1 \
+                   --light none,top --seeds 1-5 --out results
+
+   Options (comma-separated lists form the grid):
+     --variety    cress | bean | arabidopsis | wheat   (default cress)
+                  or any id from --varieties
+     --varieties  variety file (JSON) adding custom species,
+                  e.g. varieties-example.json
+     --gravity    0 – 2 g                              (default 0,1)
+     --light      none | top | bottom | left | right   (default none)
+     --clinostat  off | slow | fast | rpm              (default off)
+     --rpm        clinostat speed (default: the mode's preset)
+     --seeds      list and/or ranges, e.g. 1,2,7-10    (default 1)
+     --steps      fixed step count (default: until mature)
+     --model      angle | auxin                        (default angle)
+     --statoliths sense gravity through settling statoliths
+     --resources  limit growth by the carbon budget
+     --chamber    open | dish | tube | pot                 (default open)
+     --movement   random | nutation  zero-g tip movement   (default random)
+     --protocol   timed steps applied to every run, e.g.
+                  "12 h rotate 90; 24 h gravity 0"
+     --format     csv | json | both                    (default both)
+     --geometry   include final segment geometry in the JSON
+     --out        output path without extension        (default sweep)
+   ============================================================ */
+
+'use strict';
+
+const fs = require('fs');
+const {
+    VARIETIES, CLINOSTAT_MODES, LIGHT_DIRECTIONS, GROWTH_MODELS, CHAMBERS, TIP_MOVEMENTS, STEP_MINUTES,
+    parseProtocol, protocolLabel, chamberLabel, parseVarietyFile, runSimulation, csvCell,
+} = require('./model.js');
+
+const DEFAULTS = {
+    variety: 'cress', gravity: '0,1', light: 'none', clinostat: 'off',
+    varieties: null, rpm: null, seeds: '1', steps: null, protocol: null, model: 'angle', statoliths: false, resources: false, chamber: 'open', movement: 'random',
+    format: 'both', geometry: false, out: 'sweep',
+};
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') { opts.help = true; continue; }
+        if (!arg.startsWith('--')) throw new Error('Unexpected argument: ' + arg);
+        const [key, inline] = arg.slice(2).split('=');
+        if (!(key in DEFAULTS)) throw new Error('Unknown option: --' + key);
+        if (['geometry', 'statoliths', 'resources'].includes(key)) { opts[key] = true; continue; }
+        const value = inline ?? argv[++i];
+        if (value === undefined) throw new Error('Missing value for --' + key);
+        opts[key] = value;
+    }
+    return opts;
+}
+
+const list = str => String(str).split(',').map(s => s.trim()).filter(Boolean);
+
+function parseSeeds(str) {
+    const seeds = [];
+    for (const part of list(str)) {
+        const range = part.match(/^(\d+)-(\d+)$/);
+        if (range) {
+            const [a, b] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+            if (b < a) throw new Error('Bad seed range: ' + part);
+            for (let s = a; s <= b; s++) seeds.push(s);
+        } else {
+            seeds.push(part);
+        }
+    }
+    return seeds;
+}
+
+function buildGrid(opts) {
+    const varieties = list(opts.variety);
+    const gravities = list(opts.gravity).map(Number);
+    const lights = list(opts.light);
+    const modes = list(opts.clinostat);
+    const seeds = parseSeeds(opts.seeds);
+    const models = list(opts.model);
+    const chambers = list(opts.chamber);
+    const movements = list(opts.movement);
+
+    varieties.forEach(v => { if (!VARIETIES[v]) throw new Error('Unknown variety: ' + v); });
+    lights.forEach(l => { if (!LIGHT_DIRECTIONS.includes(l)) throw new Error('Unknown light direction: ' + l); });
+    modes.forEach(m => { if (!CLINOSTAT_MODES[m]) throw new Error('Unknown clinostat mode: ' + m); });
+    gravities.forEach(g => { if (Number.isNaN(g)) throw new Error('Gravity must be a number'); });
+    models.forEach(m => { if (!GROWTH_MODELS[m]) throw new Error('Unknown growth model: ' + m); });
+    chambers.forEach(c => { if (!CHAMBERS[c]) throw new Error('Unknown chamber: ' + c); });
+    movements.forEach(m => { if (!TIP_MOVEMENTS[m]) throw new Error('Unknown tip movement: ' + m); });
+
+    const rpm = opts.rpm === null ? null : Number(opts.rpm);
+    const protocol = opts.protocol === null ? [] : parseProtocol(opts.protocol);
+    const grid = [];
+    for (const variety of varieties)
+        for (const gravity of gravities)
+            for (const light of lights)
+                for (const mode of modes)
+                    for (const model of models)
+                        for (const chamber of chambers)
+                            for (const tipMovement of movements)
+                                for (const seed of seeds)
+                                    grid.push({
+                                        variety, gravity, light, seed, model, statoliths: opts.statoliths, resources: opts.resources,
+                                        chamber, tipMovement,
+                                        clinostat: { mode, rpm: mode === 'off' ? 0 : (rpm ?? CLINOSTAT_MODES[mode].rpm) },
+                                        steps: opts.steps === null ? null : parseInt(opts.steps, 10),
+                                        protocol,
+                                    });
+    return grid;
+}
+
+function toCsv(runs) {
+    const rows = ['run,variety,gravity_g,light,clinostat,rpm,protocol,model,statoliths,resources,chamber,movement,seed,complete,starved,time_h,stage,stem_mm,root_mm,branches,laterals,root_total_mm,root_width_mm,' +
+                  'tip_angle_deg,root_angle_deg,light_angle_deg,straightness,curvature_deg,spread_mm,carbon,supply_pct'];
+    runs.forEach((r, i) => {
+        const p = r.params;
+        for (const s of r.series) {
+            rows.push([i + 1, p.variety, p.gravity, p.light, p.clinostat.mode, p.clinostat.rpm,
+                       protocolLabel(p.protocol), p.model, p.statoliths, p.resources,
+                       chamberLabel(p.chamber), p.tipMovement, p.seed,
+                       r.complete, r.starved, s.time.toFixed(2), s.stage, s.stemLen, s.rootDep, s.branches, s.laterals, s.rootLength, s.rootWidth,
+                       s.tipAngle, s.rootAngle, s.lightAngle ?? '', s.straightness, s.curvature, s.spread,
+                       s.carbon ?? '', s.supply ?? ''].map(csvCell).join(','));
+        }
+    });
+    return rows.join('\n') + '\n';
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help) {
+        const doc = fs.readFileSync(__filename, 'utf8').match(/\/\* =+\n([\s\S]*?)=+ \*\//)[1];
+        process.stdout.write(doc.replace(/^ {3}/gm, ''));
+        return;
+    }
+    if (!['csv', 'json', 'both'].includes(opts.format)) throw new Error('Unknown format: ' + opts.format);
+
+    if (opts.varieties !== null) Object.assign(VARIETIES, parseVarietyFile(fs.readFileSync(opts.varieties, 'utf8')));
+    const grid = buildGrid(opts);
+    const runs = [];
+    const t0 = Date.now();
+    grid.forEach((params, i) => {
+        const run = runSimulation(params);
+        if (!opts.geometry) delete run.geometry;
+        runs.push(run);
+        process.stderr.write(`\r${i + 1}/${grid.length} runs`);
+    });
+    process.stderr.write(` in ${((Date.now() - t0) / 1000).toFixed(1)} s\n`);
+
+    const written = [];
+    if (opts.format !== 'json') {
+        fs.writeFileSync(opts.out + '.csv', toCsv(runs));
+        written.push(opts.out + '.csv');
+    }
+    if (opts.format !== 'csv') {
+        const doc = { generated: new Date().toISOString(), stepMinutes: STEP_MINUTES, runs };
+        fs.writeFileSync(opts.out + '.json', JSON.stringify(doc, null, 2));
+        written.push(opts.out + '.json');
+    }
+    console.log('Wrote ' + written.join(', '));
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('batch.js: ' + err.message);
+    process.exit(1);
+}
@@ -0,0 +1,2107 @@
+/* ============================================================
+   GROWING PLANTS IN SIMULATED MICROGRAVITY
+   
+   SEGMENT CHAIN MODEL — Curvature through incremental growth
+   Each new segment added at tip gets a small angle offset
+   Previous segments remain fixed — curvature accumulates
+   
+   VISUAL ENHANCEMENTS (New):
+   ===========================
+   1. LEAVES:
+      - Added every leafSpacing mm (±15%) along stems and branches
+      - Alternate sides for natural appearance
+      - Size varies (0.7-1.3x base) and scales with depth
+      - Natural droop angle (15-25°) for realism
+   
+   2. BRANCHES (see ARCHITECTURE):
+      - A leaf node bears a branch with the variety's branchChance,
+        on the leaf's side, branchSpread (±25%) from the stem
+      - Branches grow at 70% speed, carry leaves, and branch once more
+      - Their tips keep the angle they left at (a gravitropic set
+        point) instead of turning straight up
+      - Lateral roots start every lateralSpacing mm along the
+        primary root, nearly at right angles, and gravity bends
+        them to the variety's lateralAngle from vertical; laterals
+        bear second-order laterals more sparsely
+      - Each root axis has its own length limit, so laterals don't
+        use up the primary root's growth
+   
+   3. VISUAL DETAILS:
+      - Gradual stem tapering (base → tip)
+      - Branches are thinner (70% width) than main stem
+      - Leaf central vein for detail
+      - Random variation in leaf angles and sizes
+      - Root hairs remain on primary roots only
+      - Emergence is near-vertical in 1 g, scattered in 0 g
+
+   4. CLINOSTAT ROTATION:
+      - Gravity is a vector in the plant's own (rotating) frame
+      - Each tip averages the vector over its growth period, so
+        fast rotation cancels out and the plant loses its bearing
+      - Gravity turning faster than the perception lag is felt
+        only weakly, so speed and axes set how weightless it is
+      - 1-D slow, 1-D fast and 2-axis random positioning modes
+
+   5. SIMULATED TIME:
+      - One growth step = STEP_MINUTES of simulated time
+      - Steps are decoupled from frames: a 144 Hz monitor and a
+        60 Hz laptop produce the same plant at the same sim time
+
+   6. REPRODUCIBILITY:
+      - Every random choice draws from the plant's seeded RNG
+      - Leaf and root-hair geometry is fixed when created
+      - Same seed + same conditions = same plant, segment for segment
+   
+   7. HEADLESS:
+      - No DOM access in this file; loaded by index.html before
+        script.js and require()-able from Node (see batch.js)
+      - runSimulation() grows one plant and returns its data
+
+   8. LIGHT SOURCES:
+      - Any number of lamps, each with angle, intensity, spectrum
+      - Phototropic pull weighted by blue fraction, summed as vectors
+
+   9. AUXIN TRANSPORT (optional growth model):
+      - Each segment carries auxin on its left and right flank
+      - Gravity and light push auxin sideways; it diffuses along
+        the chain and relaxes to baseline
+      - Young segments bend by differential flank elongation, so
+        curvature emerges instead of being set at tip creation
+
+   10. STATOLITH SENSING (optional):
+      - Statoliths in the root cap and shoot endodermis settle
+        toward gravity with a settle time, slower in low g
+      - A restoring force sets a threshold g; the signal, not the
+        raw vector, drives gravitropism, so responses lag
+
+   11. PROTOCOLS:
+      - Timed steps change gravity, light or clinostat mid-run,
+        or rotate the plant (gravistimulation)
+      - A rotated plant feels gravity and light in its own frame
+
+   12. REPLICATE STATISTICS:
+      - Mean, sample SD and t-based 95% CI per sample time
+      - Student's and Welch's two-sample t-tests between groups
+
+   13. RESOURCE BUDGET (optional):
+      - Leaves fix carbon in proportion to the light they get,
+        limited by the water and nutrients the roots take up
+      - Elongation and branching draw on one shared carbon pool,
+        seeded from the seed's reserve; short supply slows both
+
+   14. GROWTH CHAMBER (optional):
+      - Container walls and lid, agar or soil substrate, disc
+        obstacles and a moisture source, all in the plant frame
+      - Tips slide along what they touch (thigmotropism), shoots
+        stop at the lid, roots turn toward water (hydrotropism)
+
+   15. CIRCUMNUTATION (optional):
+      - Each growing tip sways on an endogenous oscillator with a
+        per-variety period and amplitude; it persists in 0 g at
+        reduced amplitude and replaces most of the random walk
+
+   16. PHENOLOGY:
+      - Imbibition, radicle emergence, cotyledons, true leaves,
+        flowering (bolting, heading) and senescence, each starting
+        at a per-variety simulated time
+      - Stages gate which organs grow and whether leaves form;
+        a run ends when the life cycle does, not at full length
+
+   PERFORMANCE:
+   - Minimal overhead from leaf/branch tracking
+   - No heavy operations; maintains smooth animation
+   ============================================================ */
+
+'use strict';
+
+const VARIETIES = {
+    cress: {
+        label: 'Cress', desc: 'Fast, slender',
+        stemWidth: 2.2, stemColor: '#4a7c3f',
+        maxStemLen: 240, growthRate: 0.055,
+        branchChance: 0.28, branchSpread: 0.60,
+        leafShape: 'oval', leafScale: 0.90, leafColor: '#5aad4e', leafSpacing: 20,
+        rootColor: '#8B6914', rootWidth: 1.6,
+        rootGrowthRate: 0.040, maxRootLen: 120,
+        lateralSpacing: 18, lateralAngle: 1.10,
+        nutationPeriod: 1.5, nutationAmp: 0.10,
+        germinationAt: 8, cotyledonsAt: 16, trueLeavesAt: 40, floweringAt: 150,
+        senescenceAt: 220, lifespan: 260, inflorescence: 'flowers',
+        gravitropism: 1, phototropism: 1,
+    },
+    bean: {
+        label: 'Bean', desc: 'Thick stem, broad leaves',
+        stemWidth: 5.8, stemColor: '#3a6e2f',
+        maxStemLen: 300, growthRate: 0.030,
+        branchChance: 0.10, branchSpread: 0.72,
+        leafShape: 'broad', leafScale: 2.10, leafColor: '#4d9440', leafSpacing: 36,
+        rootColor: '#7a5510', rootWidth: 3.8,
+        rootGrowthRate: 0.025, maxRootLen: 160,
+        lateralSpacing: 12, lateralAngle: 1.30,
+        nutationPeriod: 1.8, nutationAmp: 0.14,
+        germinationAt: 36, cotyledonsAt: 60, trueLeavesAt: 110, floweringAt: 300,
+        senescenceAt: 420, lifespan: 480, inflorescence: 'flowers',
+        gravitropism: 1, phototropism: 1,
+    },
+    arabidopsis: {
+        label: 'Arabidopsis', desc: 'Compact, branched',
+        stemWidth: 1.7, stemColor: '#5c8a50',
+        maxStemLen: 190, growthRate: 0.048,
+        branchChance: 0.38, branchSpread: 0.95,
+        leafShape: 'lance', leafScale: 0.68, leafColor: '#68b85c', leafSpacing: 15,
+        rootColor: '#9e7e20', rootWidth: 1.1,
+        rootGrowthRate: 0.050, maxRootLen: 145,
+        lateralSpacing: 15, lateralAngle: 1.00,
+        nutationPeriod: 1.2, nutationAmp: 0.12,
+        germinationAt: 30, cotyledonsAt: 48, trueLeavesAt: 80, floweringAt: 170,
+        senescenceAt: 260, lifespan: 300, inflorescence: 'bolt',
+        gravitropism: 1, phototropism: 1,
+    },
+    wheat: {
+        label: 'Wheat', desc: 'Narrow, upright',
+        stemWidth: 2.1, stemColor: '#7a9040',
+        maxStemLen: 280, growthRate: 0.042,
+        branchChance: 0.05, branchSpread: 0.18,
+        leafShape: 'narrow', leafScale: 1.15, leafColor: '#8db855', leafSpacing: 28,
+        rootColor: '#a08830', rootWidth: 1.5,
+        rootGrowthRate: 0.032, maxRootLen: 110,
+        lateralSpacing: 10, lateralAngle: 0.60,
+        nutationPeriod: 2.2, nutationAmp: 0.06,
+        germinationAt: 20, cotyledonsAt: 36, trueLeavesAt: 60, floweringAt: 260,
+        senescenceAt: 330, lifespan: 380, inflorescence: 'ear',
+        gravitropism: 1, phototropism: 1,
+    }
+};
+
+/* ============================================================
+   VARIETY REGISTRY
+   VARIETIES above are the built-in species; the page's editor
+   and imported JSON files add or retune entries at run time.
+   Every entry must carry all of VARIETY_FIELDS within limits.
+   Variety files look like
+       { "format": "plant-varieties", "version": 1,
+         "varieties": { "radish": { "base": "cress", ... } } }
+   where `base` names a variety to take unlisted fields from.
+   Fields with a `default` may be left out (files written before
+   they existed stay valid).
+   ============================================================ */
+const BUILTIN_VARIETIES = JSON.parse(JSON.stringify(VARIETIES));
+const LEAF_SHAPES = ['oval', 'broad', 'lance', 'narrow'];
+const INFLORESCENCES = ['flowers', 'bolt', 'ear'];
+const VARIETY_FILE_FORMAT = 'plant-varieties';
+
+const VARIETY_FIELDS = {
+    label:          { label: 'Name',                        type: 'text' },
+    desc:           { label: 'Description',                 type: 'text' },
+    growthRate:     { label: 'Shoot growth rate',           type: 'number', min: 0.005, max: 0.2,  step: 0.001 },
+    maxStemLen:     { label: 'Max shoot length (mm)',       type: 'number', min: 20,    max: 600,  step: 1 },
+    stemWidth:      { label: 'Stem width',                  type: 'number', min: 0.5,   max: 10,   step: 0.1 },
+    stemColor:      { label: 'Stem colour',                 type: 'color' },
+    rootGrowthRate: { label: 'Root growth rate',            type: 'number', min: 0.005, max: 0.2,  step: 0.001 },
+    maxRootLen:     { label: 'Max root length (mm)',        type: 'number', min: 20,    max: 400,  step: 1 },
+    rootWidth:      { label: 'Root width',                  type: 'number', min: 0.5,   max: 8,    step: 0.1 },
+    rootColor:      { label: 'Root colour',                 type: 'color' },
+    lateralSpacing: { label: 'Lateral root spacing (mm)',   type: 'number', min: 4,     max: 80,   step: 1,    default: 20 },
+    lateralAngle:   { label: 'Lateral root angle (rad)',    type: 'number', min: 0.1,   max: 1.45, step: 0.01, default: 1.1 },
+    branchChance:   { label: 'Branch chance',               type: 'number', min: 0,     max: 1,    step: 0.01 },
+    branchSpread:   { label: 'Branch spread (rad)',         type: 'number', min: 0,     max: 1.5,  step: 0.01 },
+    leafShape:      { label: 'Leaf shape',                  type: 'select', options: LEAF_SHAPES },
+    leafScale:      { label: 'Leaf size',                   type: 'number', min: 0.2,   max: 3,    step: 0.05 },
+    leafSpacing:    { label: 'Leaf spacing (mm)',           type: 'number', min: 4,     max: 80,   step: 1 },
+    leafColor:      { label: 'Leaf colour',                 type: 'color' },
+    gravitropism:   { label: 'Gravitropic sensitivity',     type: 'number', min: 0,     max: 3,    step: 0.05 },
+    phototropism:   { label: 'Phototropic sensitivity',     type: 'number', min: 0,     max: 3,    step: 0.05 },
+    nutationPeriod: { label: 'Nutation period (h)',         type: 'number', min: 0.25,  max: 12,   step: 0.05 },
+    nutationAmp:    { label: 'Nutation amplitude (rad)',    type: 'number', min: 0,     max: 0.5,  step: 0.01 },
+    germinationAt:  { label: 'Radicle emerges (h)',         type: 'number', min: 0,     max: 2000, step: 1,    default: 12 },
+    cotyledonsAt:   { label: 'Cotyledons open (h)',         type: 'number', min: 0,     max: 2000, step: 1,    default: 24 },
+    trueLeavesAt:   { label: 'First true leaf (h)',         type: 'number', min: 0,     max: 2000, step: 1,    default: 48 },
+    floweringAt:    { label: 'Flowering (h)',               type: 'number', min: 0,     max: 2000, step: 1,    default: 160 },
+    senescenceAt:   { label: 'Senescence (h)',              type: 'number', min: 0,     max: 2000, step: 1,    default: 240 },
+    lifespan:       { label: 'Life cycle ends (h)',         type: 'number', min: 1,     max: 2000, step: 1,    default: 300 },
+    inflorescence:  { label: 'Inflorescence',               type: 'select', options: INFLORESCENCES, default: 'flowers' },
+};
+
+const isBuiltinVariety = id => Object.prototype.hasOwnProperty.call(BUILTIN_VARIETIES, id);
+
+// Throws with every problem found; returns a clean copy of the variety
+function validateVariety(id, spec) {
+    const errors = [];
+    if (!/^[a-z][a-zA-Z0-9_-]{0,31}$/.test(id)) errors.push('id must start with a lowercase letter and use only letters, digits, - or _');
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('Variety "' + id + '": expected an object of fields');
+    const base = spec.base === undefined ? {} : VARIETIES[spec.base];
+    if (!base) errors.push('unknown base variety "' + spec.base + '"');
+    const v = {};
+    for (const [key, f] of Object.entries(VARIETY_FIELDS)) {
+        const value = spec[key] ?? (base || {})[key] ?? f.default;
+        if (value === undefined) { errors.push(key + ' is missing'); continue; }
+        if (f.type === 'number' && !(typeof value === 'number' && value >= f.min && value <= f.max)) {
+            errors.push(key + ' must be a number from ' + f.min + ' to ' + f.max);
+        } else if (f.type === 'color' && !/^#[0-9a-fA-F]{6}$/.test(value)) {
+            errors.push(key + ' must be a colour like #4a7c3f');
+        } else if (f.type === 'select' && !f.options.includes(value)) {
+            errors.push(key + ' must be one of ' + f.options.join(', '));
+        } else if (f.type === 'text' && !(typeof value === 'string' && value.trim())) {
+            errors.push(key + ' must be non-empty text');
+        }
+        v[key] = f.type === 'text' && typeof value === 'string' ? value.trim() : value;
+    }
+    const times = PHENOLOGY_STAGES.slice(1).map(st => st.from);
+    for (let i = 1; i < times.length; i++) {
+        if (typeof v[times[i]] === 'number' && typeof v[times[i - 1]] === 'number' && v[times[i]] <= v[times[i - 1]]) {
+            errors.push(times[i] + ' must come after ' + times[i - 1]);
+        }
+    }
+    const unknown = Object.keys(spec).filter(k => k !== 'base' && !VARIETY_FIELDS[k]);
+    if (unknown.length) errors.push('unknown field' + (unknown.length > 1 ? 's ' : ' ') + unknown.join(', '));
+    if (errors.length) throw new Error('Variety "' + id + '": ' + errors.join('; '));
+    return v;
+}
+
+/* Parse a variety file (see above). All-or-nothing: throws one
+   error listing every bad entry, otherwise returns { id: variety }. */
+function parseVarietyFile(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Not a valid JSON file: ' + err.message);
+    }
+    if (!doc || typeof doc !== 'object' || !doc.varieties || typeof doc.varieties !== 'object') {
+        throw new Error('Expected { "format": "' + VARIETY_FILE_FORMAT + '", "varieties": { ... } }');
+    }
+    if (doc.format !== undefined && doc.format !== VARIETY_FILE_FORMAT) throw new Error('Unknown file format "' + doc.format + '"');
+    const out = {}, errors = [];
+    for (const [id, spec] of Object.entries(doc.varieties)) {
+        try {
+            out[id] = validateVariety(id, spec);
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    if (errors.length) throw new Error(errors.join('\n'));
+    if (!Object.keys(out).length) throw new Error('The file has no varieties');
+    return out;
+}
+
+function varietyFile(ids = Object.keys(VARIETIES)) {
+    const varieties = {};
+    for (const id of ids) varieties[id] = { ...VARIETIES[id] };
+    return JSON.stringify({ format: VARIETY_FILE_FORMAT, version: 1, varieties }, null, 2);
+}
+
+function registerVariety(id, spec) {
+    VARIETIES[id] = validateVariety(id, spec);
+    return VARIETIES[id];
+}
+
+// Custom varieties are removed; built-ins go back to their defaults
+function removeVariety(id) {
+    if (isBuiltinVariety(id)) VARIETIES[id] = JSON.parse(JSON.stringify(BUILTIN_VARIETIES[id]));
+    else delete VARIETIES[id];
+}
+
+/* ============================================================
+   SEEDED RANDOM NUMBERS
+   Mulberry32 — small, fast 32-bit PRNG. Each Plant owns one
+   generator so a run can be replayed exactly from its seed.
+   rng.state() is how far the generator has got; passing it back
+   as `state` carries on the same sequence (see SAVED PLANTS).
+   ============================================================ */
+function createRng(seed, state = seed) {
+    let a = state >>> 0;
+    const rng = function rng() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.state = () => a;
+    return rng;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// Numbers are used as-is; any other text is hashed (FNV-1a) so
+// students can type memorable seeds like "sunflower".
+function parseSeed(value) {
+    const str = String(value ?? '').trim();
+    if (!str) return null;
+    if (/^\d+$/.test(str)) return parseInt(str, 10) >>> 0;
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/* ============================================================
+   GRAVITY LEVELS
+   Continuous 0–2 g. Presets cover the environments taught in
+   the space-agriculture unit; anything else is "Custom".
+   ============================================================ */
+const GRAVITY_MAX = 2;
+
+const GRAVITY_PRESETS = [
+    { key: 'micro', label: 'Microgravity', g: 0 },
+    { key: 'moon',  label: 'Moon',         g: 0.16 },
+    { key: 'mars',  label: 'Mars',         g: 0.38 },
+    { key: 'earth', label: 'Earth',        g: 1 },
+];
+
+// Half-saturation of the gravitropic dose-response (in g)
+const G_HALF = 0.3;
+
+/* Saturating dose-response normalised to 1 at 1 g:
+   0.16 g → 0.45, 0.38 g → 0.73, 2 g → 1.13 */
+function gravResponse(g) {
+    return g <= 0 ? 0 : g * (1 + G_HALF) / (g + G_HALF);
+}
+
+// The steady g that gravResponse() maps to response r (r < 1 + G_HALF)
+function gravityForResponse(r) {
+    return r * G_HALF / (1 + G_HALF - Math.min(r, 1.29));
+}
+
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+function gravityLabel(g) {
+    const preset = GRAVITY_PRESETS.find(p => p.g === g);
+    return (preset ? preset.label : 'Custom') + ' (' + g.toFixed(2) + ' g)';
+}
+
+/* ============================================================
+   CLINOSTAT — Rotating the plant frame
+   The plant turns about the axis normal to the screen (inner),
+   and on the 2-axis machine also about a horizontal axis
+   (outer) at an incommensurate speed so the gravity vector
+   sweeps the whole sphere instead of repeating a single circle.
+   ============================================================ */
+const CLINOSTAT_MODES = {
+    off:  { label: 'Static',                 axes: 0, rpm: 0 },
+    slow: { label: '1-D slow',               axes: 1, rpm: 2 },
+    fast: { label: '1-D fast',               axes: 1, rpm: 60 },
+    rpm:  { label: 'Random positioning (2-axis)', axes: 2, rpm: 10 },
+};
+
+const RPM_OUTER_RATIO = 0.618;
+
+// Instantaneous drum angles; used to draw the rotating chamber
+function clinostatPhase(mode, rpm, minutes) {
+    const axes = CLINOSTAT_MODES[mode]?.axes || 0;
+    const turns = rpm * minutes;
+    return {
+        inner: axes >= 1 ? (turns % 1) * Math.PI * 2 : 0,
+        outer: axes >= 2 ? ((turns * RPM_OUTER_RATIO) % 1) * Math.PI * 2 : 0,
+    };
+}
+
+/* Earth's gravity (straight down on screen) expressed in the
+   plant's frame. The out-of-plane part left by the outer axis
+   cannot bend a 2-D plant, so only the in-plane part is kept. */
+function gravityVector(g, phase = { inner: 0, outer: 0 }) {
+    const inPlane = g * Math.cos(phase.outer);
+    return {
+        x: inPlane * Math.sin(phase.inner),
+        y: inPlane * Math.cos(phase.inner),
+    };
+}
+
+/* Gravity in the plant's frame through a step starting at m0
+   minutes, as a sum of steadily turning parts: each is { x, y }
+   at m0, turning at w rad/min (in rotateVec's sense). Static
+   gravity is one part with w = 0. The 2-axis product terms are
+   split with cos(o)·v(i) = ½[v(i + o) + v(i − o)] so each part
+   is a single linearly advancing phase. */
+function gravityParts(g, mode, rpm, m0) {
+    const axes = CLINOSTAT_MODES[mode]?.axes || 0;
+    if (!axes || !rpm) return [{ ...gravityVector(g), w: 0 }];
+    const w = Math.PI * 2 * rpm;
+    if (axes === 1) return [{ ...gravityVector(g, { inner: w * m0, outer: 0 }), w: -w }];
+    return [1 + RPM_OUTER_RATIO, 1 - RPM_OUTER_RATIO].map(f =>
+        ({ ...gravityVector(g / 2, { inner: w * m0 * f, outer: 0 }), w: -w * f }));
+}
+
+// Exact mean of a turning part over `minutes` from its start
+function turnedMean(part, minutes) {
+    const a = part.w * minutes;
+    if (Math.abs(a) < 1e-9) return { x: part.x, y: part.y };
+    const c = Math.sin(a) / a, s = (1 - Math.cos(a)) / a;
+    return { x: part.x * c - part.y * s, y: part.x * s + part.y * c };
+}
+
+/* Exact mean of gravityVector over the simulated interval
+   [m0, m1] minutes. A 5-minute step spans many turns, so point
+   sampling would alias (e.g. whole turns always land on the
+   same angle). */
+function meanGravityVector(g, mode, rpm, m0, m1) {
+    return gravityParts(g, mode, rpm, m0).map(p => turnedMean(p, m1 - m0))
+        .reduce((a, b) => ({ x: a.x + b.x, y: a.y + b.y }));
+}
+
+/* Graviperception lags the stimulus by about a minute: a part
+   turning at w is felt at 1 / √(1 + (w·lag)²) of its size. */
+const PERCEPTION_LAG_MIN = 1;
+
+/* What a plant grows under through [m0, m1]: the mean vector
+   (which way gravity pulls on average), how strongly gravity
+   is felt whichever way it points (`felt`, in g, the RMS of the
+   lagged parts) and the parts themselves for the statoliths. On
+   a clinostat the mean cancels at any speed, but slow rotation
+   is still felt and fast rotation is not. */
+function gravityStimulus(g, mode, rpm, m0, m1) {
+    const parts = gravityParts(g, mode, rpm, m0);
+    const felt = Math.sqrt(parts.reduce((sum, p) =>
+        sum + (p.x * p.x + p.y * p.y) / (1 + (p.w * PERCEPTION_LAG_MIN) ** 2), 0));
+    return { ...meanGravityVector(g, mode, rpm, m0, m1), felt, parts };
+}
+
+/* ============================================================
+   SIMULATED TIME
+   One growth step = STEP_MINUTES of simulated time; data is
+   sampled every SAMPLE_INTERVAL_MIN.
+   ============================================================ */
+const STEP_MINUTES = 5;
+const SAMPLE_INTERVAL_MIN = 120;
+// Safety cap for runs to maturity (≈ 69 simulated days)
+const MAX_STEPS = 20000;
+
+/* ============================================================
+   LIGHT SOURCES
+   A source is { angle, intensity, spectrum }: angle in degrees
+   clockwise from straight up (top 0, right 90), intensity 0–1.
+   Phototropism is driven by phototropins, which absorb blue
+   light, so each source pulls with intensity × its blue fraction
+   (relative to white light); the pulls add as vectors, so two
+   equal lamps on opposite sides cancel. `par` is the share of the
+   light that drives photosynthesis (far-red lies outside it).
+   ============================================================ */
+const LIGHT_SPECTRA = {
+    blue:   { label: 'Blue',    blue: 1.0,  par: 1.0,  color: '#3b82f6' },
+    white:  { label: 'White',   blue: 0.4,  par: 1.0,  color: '#FFD700' },
+    red:    { label: 'Red',     blue: 0.02, par: 1.0,  color: '#ef4444' },
+    farRed: { label: 'Far-red', blue: 0,    par: 0.05, color: '#991b1b' },
+};
+// Cap on the summed phototropic pull (1 = one full white lamp)
+const LIGHT_MAX_RESPONSE = 4;
+
+// Shorthand names for a single full-strength white lamp
+const LIGHT_DIRECTIONS = ['none', 'top', 'bottom', 'left', 'right'];
+const DIRECTION_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+function lightsFromDir(dir) {
+    return dir === 'none' ? [] : [{ angle: DIRECTION_ANGLES[dir], intensity: 1, spectrum: 'white' }];
+}
+
+// Accepts a direction name or a list of sources; throws if invalid
+function normalizeLights(light) {
+    if (typeof light === 'string') {
+        if (!LIGHT_DIRECTIONS.includes(light)) throw new Error('Unknown light direction: ' + light);
+        return lightsFromDir(light);
+    }
+    if (!Array.isArray(light)) throw new Error('Light must be a direction name or a list of sources');
+    return light.map(l => {
+        if (!Number.isFinite(l.angle)) throw new Error('Light angle must be a number of degrees');
+        if (!(l.intensity >= 0 && l.intensity <= 1)) throw new Error('Light intensity must be between 0 and 1');
+        if (!LIGHT_SPECTRA[l.spectrum]) throw new Error('Unknown light spectrum: ' + l.spectrum);
+        return { angle: ((l.angle % 360) + 360) % 360, intensity: l.intensity, spectrum: l.spectrum };
+    });
+}
+
+// Canvas-frame radians (0 = +x, y down) of a source angle
+const lightRad = deg => (deg - 90) * Math.PI / 180;
+
+/* Vector sum of the sources. weight 'photo' uses phototropic
+   strength, 'intensity' plain brightness (for where the light is). */
+function lightVector(lights, weight = 'photo') {
+    const v = { x: 0, y: 0 };
+    for (const l of lights) {
+        const w = weight === 'photo' ? l.intensity * LIGHT_SPECTRA[l.spectrum].blue / LIGHT_SPECTRA.white.blue : l.intensity;
+        v.x += w * Math.cos(lightRad(l.angle));
+        v.y += w * Math.sin(lightRad(l.angle));
+    }
+    return v;
+}
+
+// "top" for a plain white lamp, otherwise every source spelled out
+function lightsLabel(lights) {
+    if (!lights.length) return 'none';
+    if (lights.length === 1 && lights[0].spectrum === 'white' && lights[0].intensity === 1) {
+        const dir = Object.keys(DIRECTION_ANGLES).find(d => DIRECTION_ANGLES[d] === lights[0].angle);
+        if (dir) return dir;
+    }
+    return lights.map(l => Math.round(l.angle) + '° ' + LIGHT_SPECTRA[l.spectrum].label.toLowerCase() + ' ' +
+                           Math.round(l.intensity * 100) + '%').join(' + ');
+}
+
+/* ============================================================
+   ARCHITECTURE — Branching beyond the per-variety data
+   (branchChance, branchSpread, leafSpacing, lateralSpacing,
+   lateralAngle).
+   Angles are radians; a set point is the angle from vertical
+   (up for shoots, down for roots) that a branch's tips steer
+   toward, + = clockwise.
+   ============================================================ */
+const ARCHITECTURE = {
+    maxOrder: 2,            // branches of branches, no further
+    orderFalloff: 0.5,      // branch chance × this per branch order
+    branchGrowth: 0.7,      // branch elongation vs. the main stem
+    branchLeafSize: 0.8,    // leaves on branches are smaller
+    lateralFrom: 12,        // mm from the start of a root axis to its first lateral
+    secondarySpacing: 2,    // laterals on laterals are this much sparser
+    lateralReach: [1, 0.3, 0.1],  // axis length limit by order, × maxRootLen
+    lateralEmergence: 1.5,  // laterals leave ~86° from their parent (±25%), then bend to the set point
+    lateralBend: 5,         // within a few segments: gravitropic gain of lateral root tips
+    lateralGrowth: 0.6,     // lateral elongation vs. the primary root
+    maxSetPoint: 1.45,      // nothing steers past just short of horizontal
+    emergence: [0.08, 0.5], // spread of the emergence angle in 1 g and 0 g
+};
+
+/* ============================================================
+   SEGMENT — Angle offset calculated ONCE at creation
+   Segments grow in length only. Angle never changes.
+   Chain of segments creates smooth cumulative curvature.
+   
+   VISUAL ENHANCEMENTS:
+   - Leaves at the variety's spacing (alternating sides),
+     counted along the axis across segments
+   - Branches at leaf nodes, lateral roots at the variety's spacing
+   - Gradual stem tapering based on position in chain
+   ============================================================ */
+class Segment {
+    constructor(parent, isRoot, variety, angleOffset = 0, isBranch = false, rng = null) {
+        this.parent = parent;
+        this.isRoot = isRoot;
+        this.variety = variety;
+        this.angleOffset = angleOffset;  // FIXED after creation
+        this.isBranch = isBranch;  // Branches grow slower
+        // Branch order (0 = main axis) and gravitropic set point:
+        // the angle from vertical this axis's tips steer toward
+        this.order = parent ? parent.order : 0;
+        this.setPoint = parent ? parent.setPoint : 0;
+        this.rng = rng || (parent ? parent.rng : Math.random);  // Shared with the whole plant
+        
+        const v = VARIETIES[variety];
+        
+        // Short segments create smoother curves
+        this.targetLength = isRoot ? 10 : 12;
+        this.length = 0.1;
+        this.growing = true;
+        this.children = [];
+        
+        // Leaf system: track leaves with side info for alternating pattern
+        this.leaves = [];  // Array of {position, side, size}
+        this.nextLeafSide = this.rng() < 0.5 ? 1 : -1;  // Start random
+        this.nextLeafAt = isRoot ? Infinity : v.leafSpacing * 0.5;  // Position on this segment
+        this.nextLateralAt = isRoot ? ARCHITECTURE.lateralFrom : Infinity;  // Likewise for lateral roots
+        this.axisStart = 0;  // Distance along this axis (stem, branch or root) to this segment
+        
+        // Root hair angle jitter, fixed so hairs don't flicker between frames
+        this.hairJitter = [(this.rng() - 0.5) * 0.3, (this.rng() - 0.5) * 0.3];
+        
+        // Branching control
+        this.hasBranched = false;
+        this.hasTip = false;  // Continuation segment added (branches don't count)
+        
+        // Gravity felt while this segment grows (plant frame), and
+        // how strongly it was felt whichever way it pointed
+        this.gSum = { x: 0, y: 0 };
+        this.feltSum = 0;
+        this.gSamples = 0;
+        
+        // Auxin model only: flank concentrations (copied from the
+        // parent) and steps since this segment stopped lengthening
+        this.auxin = parent && parent.auxin ? { left: parent.auxin.left, right: parent.auxin.right } : null;
+        this.matureSteps = 0;
+        
+        // Growth chamber (see CHAMBERS), shared with the whole plant
+        this.chamber = parent ? parent.chamber : null;
+        
+        // Circumnutation only: the tip's oscillator and its current
+        // sway, added to the angle while this segment is the tip
+        this.nutation = null;
+        this.sway = 0;
+        
+        const depth = this.getDepth();
+        const gf = Math.pow(0.62, depth);
+        
+        // Gradual width tapering based on depth in chain
+        const baseFactor = isRoot ? v.rootWidth : v.stemWidth;
+        this.baseWidth = Math.max(baseFactor * gf, 0.5);
+        
+        // Additional width reduction for branches
+        if (isBranch) {
+            this.baseWidth *= 0.7;
+        }
+    }
+
+    get angle() {
+        if (!this.parent) {
+            return (this.isRoot ? Math.PI / 2 : -Math.PI / 2) + this.sway;
+        }
+        return this.parent.angle + this.angleOffset + this.sway;
+    }
+
+    get x() {
+        return this.parent ? this.parent.endX : 0;
+    }
+
+    get y() {
+        return this.parent ? this.parent.endY : 0;
+    }
+
+    get endX() {
+        return this.x + this.length * Math.cos(this.angle);
+    }
+
+    get endY() {
+        return this.y + this.length * Math.sin(this.angle);
+    }
+
+    getDepth() {
+        let depth = 0;
+        let p = this.parent;
+        while (p) { depth++; p = p.parent; }
+        return depth;
+    }
+
+    /* ----------------------------------------------------------
+       Grow in length. When target reached, create new tip segment.
+       Add leaves at intervals and occasionally create branches.
+    ---------------------------------------------------------- */
+    // light: { angle (plant frame, radians), strength } or null
+    // supply: share of the carbon demand met this step (0–1)
+    // stage: the developmental stage's elongation rate and whether it forms leaves
+    grow(gravity, light, totalLength, maxLength, supply = 1, stage = { rate: 1, leaves: true }) {
+        const v = VARIETIES[this.variety];
+        if (this.growing) {
+            if (this.nutation) this._nutate(gravity);
+            
+            // Grow length — roots are slowed by the substrate they push through
+            const medium = this.isRoot ? substrateAt(this.chamber, this.x, this.y) : null;
+            this.length += this.elongationRate() * supply * stage.rate * (medium ? 1 - medium.impedance : 1);
+            
+            // Integrate the gravity stimulus over the growth period
+            this.gSum.x += gravity.x;
+            this.gSum.y += gravity.y;
+            this.feltSum += gravity.felt;
+            this.gSamples++;
+            
+            // Leaves at the variety's spacing (shoots and branches);
+            // a leaf node may bear a branch on the leaf's side. Outside
+            // the leafy stage nodes are skipped, not saved up.
+            if (!stage.leaves) this.nextLeafAt = Math.max(this.nextLeafAt, this.length);
+            while (stage.leaves && this.length >= this.nextLeafAt) {
+                const side = this._addLeaf();
+                const chance = v.branchChance * Math.pow(ARCHITECTURE.orderFalloff, this.order);
+                if (this.order < ARCHITECTURE.maxOrder && !this.hasBranched && this.rng() < chance * supply) {
+                    this._createBranch(side);
+                }
+            }
+            
+            // Lateral roots at the variety's spacing, sparser on laterals
+            while (this.length >= this.nextLateralAt) {
+                this.nextLateralAt += v.lateralSpacing * (this.order ? ARCHITECTURE.secondarySpacing : 1) *
+                                      (0.85 + this.rng() * 0.3);
+                if (this.order < ARCHITECTURE.maxOrder && this.rng() < supply) {
+                    this._createBranch(this.rng() < 0.5 ? 1 : -1);
+                }
+            }
+            
+            // When full, create new segment at tip. Shoots share one
+            // length limit; each root axis has its own.
+            if (this.length >= this.targetLength && !this.hasTip) {
+                this.growing = false;
+                const room = this.isRoot
+                    ? this.axisStart + this.length < maxLength * ARCHITECTURE.lateralReach[this.order]
+                    : totalLength < maxLength;
+                if (room) this._addTipSegment(gravity, light);
+            }
+        }
+        
+        for (const c of this.children) {
+            c.grow(gravity, light, totalLength, maxLength, supply, stage);
+        }
+    }
+
+    // Add the next alternating leaf (geometry fixed at creation); returns its side
+    _addLeaf() {
+        const v = VARIETIES[this.variety];
+        const side = this.nextLeafSide;
+        this.leaves.push({
+            position: this.nextLeafAt,
+            side: side,
+            size: (0.7 + this.rng() * 0.6) * (this.order ? ARCHITECTURE.branchLeafSize : 1),  // Variation 0.7-1.3
+            spread: 85 + this.rng() * 10,  // 85-95° from stem
+            droop: 15 + this.rng() * 10    // 15-25° droop
+        });
+        this.nextLeafSide *= -1;  // Alternate for next leaf
+        this.nextLeafAt += v.leafSpacing * (0.85 + this.rng() * 0.3);
+        return side;
+    }
+
+    /* ----------------------------------------------------------
+       Advance the tip's oscillator one step. The sway is measured
+       from where the oscillator stood when this tip took over, so
+       the direction of growth is continuous across segments.
+    ---------------------------------------------------------- */
+    _nutate(gravity) {
+        const v = VARIETIES[this.variety];
+        const n = this.nutation;
+        const gw = Math.min(gravResponse(gravity.felt), 1);
+        const amp = v.nutationAmp * (this.isRoot ? NUTATION.rootShare : 1) *
+                    lerp(NUTATION.microgravityShare, 1, gw);
+        n.phase += 2 * Math.PI * STEP_MINUTES / (v.nutationPeriod * 60);
+        n.value = amp * Math.sin(n.phase);
+        if (n.anchor === null) n.anchor = n.value;
+        this.sway = n.value - n.anchor;
+    }
+
+    // Length added per step with a full carbon supply
+    elongationRate() {
+        const v = VARIETIES[this.variety];
+        const r = this.isRoot ? v.rootGrowthRate : v.growthRate;
+        // Branches and lateral roots grow slower than the main axis
+        const growthMultiplier = !this.order ? 1.0
+            : this.isRoot ? ARCHITECTURE.lateralGrowth : ARCHITECTURE.branchGrowth;
+        return r * 2.5 * growthMultiplier;
+    }
+
+    /* ----------------------------------------------------------
+       Create new tip segment with calculated angle offset.
+       This is where curvature happens — ONCE, at creation.
+       Gravity is the mean vector felt while this segment grew.
+    ---------------------------------------------------------- */
+    _addTipSegment(gravity, light) {
+        const currentAngle = this.angle;
+        let offset = 0;
+        
+        const n = Math.max(this.gSamples, 1);
+        const gx = this.gSamples ? this.gSum.x / n : gravity.x;
+        const gy = this.gSamples ? this.gSum.y / n : gravity.y;
+        const gMag = Math.hypot(gx, gy);
+        const response = gravResponse(gMag);
+        // 0 = free-floating, 1 = fully gravity-dominated (≥ 1 g);
+        // rotation that cancels the mean can still be felt
+        const gw = Math.min(gravResponse(this.gSamples ? this.feltSum / n : gravity.felt), 1);
+        
+        // GRAVITROPISM — very strong for roots, scaled by the
+        // dose-response; fades as rotation cancels the mean vector.
+        // Branches steer to their set point rather than vertical.
+        // Under the auxin model tropisms bend the segments instead.
+        if (gMag > 0 && !this.auxin) {
+            const down = Math.atan2(gy, gx) + this.setPoint;
+            const target = this.isRoot ? down : down + Math.PI;
+            const diff = angleDiff(target, currentAngle);
+            const gain = this.isRoot ? 0.06 * (this.order ? ARCHITECTURE.lateralBend : 1) : 0.028;
+            offset += diff * gain * response * VARIETIES[this.variety].gravitropism;
+        }
+        
+        // PHOTOTROPISM — toward the summed light, scaled by its
+        // phototropic strength (1 = one white lamp)
+        if (light !== null && !this.auxin) {
+            const target = this.isRoot ? light.angle + Math.PI : light.angle;
+            const diff = angleDiff(target, currentAngle);
+            offset += diff * light.strength * VARIETIES[this.variety].phototropism * (this.isRoot 
+                ? lerp(0.020, 0.010, gw)
+                : lerp(0.042, 0.025, gw));
+        }
+        
+        // HYDROTROPISM — roots toward the moisture source, fading
+        // with distance; independent of gravity
+        const water = this.chamber && this.chamber.moisture;
+        if (water && this.isRoot) {
+            const dist = Math.hypot(water.x - this.endX, water.y - this.endY);
+            const diff = angleDiff(Math.atan2(water.y - this.endY, water.x - this.endX), currentAngle);
+            offset += diff * HYDROTROPISM.strength * Math.exp(-dist / HYDROTROPISM.range);
+        }
+        
+        // RANDOM VARIATION — key for zero-g curves; soil particles
+        // jostle roots further. With circumnutation the oscillator
+        // accounts for the extra zero-g wandering, so only the
+        // 1 g noise remains.
+        const medium = this.isRoot ? substrateAt(this.chamber, this.endX, this.endY) : null;
+        const gn = this.nutation ? 1 : gw;
+        offset += (this.rng() - 0.5) * (medium ? medium.jostle : 1) * (this.isRoot
+            ? lerp(0.022, 0.008, gn)
+            : lerp(0.038, 0.018, gn));
+        
+        // THIGMOTROPISM — slide along walls and obstacles; a shoot
+        // that reaches the lid, or a tip boxed in, stops growing
+        if (this.chamber) {
+            const angle = this._avoidContact(currentAngle + offset);
+            if (angle === null) return;
+            offset = angleDiff(angle, currentAngle);
+        }
+        
+        // The finished segment keeps its sway; the oscillator runs on in the new tip.
+        // Leaf spacing carries over, so phyllotaxy ignores segment boundaries.
+        const tip = new Segment(this, this.isRoot, this.variety, offset, this.isBranch);
+        tip.nextLeafAt = this.nextLeafAt - this.length;
+        tip.nextLeafSide = this.nextLeafSide;
+        tip.nextLateralAt = this.nextLateralAt - this.length;
+        tip.axisStart = this.axisStart + this.length;
+        if (this.nutation) {
+            if (this.parent) { this.angleOffset += this.sway; this.sway = 0; }
+            tip.nutation = { phase: this.nutation.phase, value: this.nutation.value, anchor: null };
+        }
+        this.children.push(tip);
+        this.hasTip = true;
+    }
+
+    /* ----------------------------------------------------------
+       Direction for the next tip segment given the chamber: the
+       proposed angle if the new segment would run free, else
+       turned to run along the surface it would hit (and slightly
+       away from it). Null if the tip cannot go on.
+    ---------------------------------------------------------- */
+    _avoidContact(angle) {
+        const len = this.isRoot ? 10 : 12;
+        const from = { x: this.endX, y: this.endY };
+        const ahead = a => ({ x: from.x + len * Math.cos(a), y: from.y + len * Math.sin(a) });
+        const hit = chamberContact(this.chamber, from, ahead(angle));
+        if (!hit) return angle;
+        if (hit.lid && !this.isRoot) return null;
+        
+        // Along the surface, on the side the tip was already heading
+        // (the side it grew from if head-on), then the other side
+        const dx = Math.cos(angle), dy = Math.sin(angle);
+        const dot = dx * hit.x + dy * hit.y;
+        let tx = dx - dot * hit.x, ty = dy - dot * hit.y;
+        const t = Math.hypot(tx, ty);
+        if (t > 1e-6) { tx /= t; ty /= t; }
+        else { tx = -hit.y; ty = hit.x; if (Math.cos(this.angle) * tx + Math.sin(this.angle) * ty < 0) { tx = -tx; ty = -ty; } }
+        for (const sgn of [1, -1]) {
+            const turned = Math.atan2(sgn * ty + hit.y * 0.2, sgn * tx + hit.x * 0.2);
+            if (!chamberContact(this.chamber, from, ahead(turned))) return turned;
+        }
+        return null;
+    }
+
+    /* ----------------------------------------------------------
+       Create a branch (or lateral root) at the current position,
+       on `side` (+1 = clockwise). Shoot branches leave at the
+       variety's branchSpread, which is also their set point.
+       Lateral roots leave wide and gravity bends them to the
+       variety's lateralAngle, so without gravity they stay wide.
+    ---------------------------------------------------------- */
+    _createBranch(side) {
+        const v = VARIETIES[this.variety];
+        const spread = this.isRoot ? v.lateralAngle : v.branchSpread;
+        const leave = this.isRoot ? ARCHITECTURE.lateralEmergence : spread;
+        let branchAngle = side * leave * (0.75 + this.rng() * 0.5);
+        
+        // Not into a wall or obstacle; no room means no branch
+        if (this.chamber) {
+            const angle = this._avoidContact(this.angle + branchAngle);
+            if (angle === null) return;
+            branchAngle = angleDiff(angle, this.angle);
+        }
+        
+        // Create branch segment (marked as branch for slower growth)
+        const branch = new Segment(this, this.isRoot, this.variety, branchAngle, true);
+        branch.order = this.order + 1;
+        const setPoint = this.setPoint + side * spread;
+        branch.setPoint = Math.max(-ARCHITECTURE.maxSetPoint, Math.min(ARCHITECTURE.maxSetPoint, setPoint));
+        if (this.nutation) branch.nutation = { phase: this.rng() * 2 * Math.PI, value: 0, anchor: null };
+        this.children.push(branch);
+        this.hasBranched = true;
+    }
+
+    totalLength() {
+        return this.length + this.children.reduce((s, c) => s + c.totalLength(), 0);
+    }
+
+    isFullyGrown() {
+        if (this.growing) return false;
+        return this.children.every(c => c.isFullyGrown());
+    }
+}
+
+/* ============================================================
+   AUXIN TRANSPORT — Cholodny–Went, per step:
+   1. Growing tips make auxin (relax toward tipLevel)
+   2. In the elongation zone, gravity moves auxin to the lower
+      flank and light to the shaded flank; flanks also even out
+   3. Auxin diffuses between neighbouring segments, flank to
+      flank, and decays toward baseline
+   4. Zone segments bend by their flanks' elongation difference.
+      Auxin promotes shoot elongation but inhibits root
+      elongation, so shoots bend up and toward light, roots down.
+   Units are arbitrary; baseline concentration is 1.
+   ============================================================ */
+const GROWTH_MODELS = {
+    angle: { label: 'Angle offsets (simple)' },
+    auxin: { label: 'Auxin transport (physiological)' },
+};
+
+/* Zero-g tip movement hypotheses. 'random': tips wander by a
+   random walk that grows as gravity fades. 'nutation': an
+   endogenous oscillator sways each growing tip (period and
+   amplitude per variety); gravity strengthens it but it persists
+   in 0 g, and the random walk stays at its 1 g level. */
+const TIP_MOVEMENTS = {
+    random: { label: 'Random walk' },
+    nutation: { label: 'Circumnutation oscillator' },
+};
+
+const NUTATION = {
+    microgravityShare: 0.6,   // amplitude left in 0 g
+    rootShare: 0.4,           // roots nutate less than shoots
+};
+
+const AUXIN = {
+    tipLevel: 2.0,      // tip production target
+    tipRate: 0.08,
+    lateral: 0.04,      // sideways transport per unit stimulus
+    evenOut: 0.04,      // flank-to-flank equilibration
+    diffusion: 0.08,    // along the chain
+    decay: 0.02,        // toward baseline
+    bend: 0.0045,       // rad per step at full asymmetry
+    zoneSteps: 72,      // segments keep bending for 6 h after lengthening
+};
+
+/* ============================================================
+   STATOLITHS — Gravity sensing before the tropic response
+   Each organ's statolith pile sits at displacement p (plant
+   frame; |p| = 1 is resting on the cell wall). Sedimentation
+   pulls it along g, the cytoskeleton pulls it back to centre:
+       dp/dt = (g − (|g| + restoring) p) / settle
+   so it settles in ≈ settle minutes at 1 g, several times slower
+   at Moon g, and rests at |p| = |g| / (|g| + restoring). Only
+   displacement past `threshold` signals, which sets a threshold
+   g of restoring·threshold / (1 − threshold). The signal is
+   scaled so a settled 1 g pile gives the same response as the
+   instant model at 1 g.
+   ============================================================ */
+const STATOLITHS = {
+    restoring: 0.1,                          // g
+    root:  { settle: 6,  threshold: 0.25 },  // columella, root cap
+    shoot: { settle: 15, threshold: 0.35 },  // endodermis
+};
+
+function statolithSignal(p, organ, mag = Math.hypot(p.x, p.y)) {
+    const { threshold } = STATOLITHS[organ];
+    const past = Math.max(0, mag - threshold) / (1 - threshold);
+    const p1 = 1 / (1 + STATOLITHS.restoring);
+    const ref = (p1 - threshold) / (1 - threshold);
+    return { mag, response: past / ref };
+}
+
+/* Settle p for `minutes` under gravity given as turning parts
+   (see gravityParts), exactly. Each part drives p linearly: its
+   settled pile c / (k + i·w·settle) turns with it, lagging and
+   shrunk, so slow rotation still sediments the pile part-way
+   and fast rotation hardly moves it. k uses the RMS of |g|.
+   Returns the pile as the organ senses it through the step:
+   the turning piles at their mean, the rest where it ends (so
+   static gravity is sensed at the end of the step), with `mag`
+   the RMS displacement about the centre. */
+function settleStatoliths(p, parts, organ, minutes) {
+    const { settle } = STATOLITHS[organ];
+    const k = Math.sqrt(parts.reduce((sum, c) => sum + c.x * c.x + c.y * c.y, 0)) + STATOLITHS.restoring;
+    const decay = Math.exp(-k * minutes / settle);
+    let fx = p.x, fy = p.y;  // What decays: the start less the settled piles
+    const piles = parts.map(c => {
+        const ws = c.w * settle, d = k * k + ws * ws;
+        const b = { x: (c.x * k + c.y * ws) / d, y: (c.y * k - c.x * ws) / d, w: c.w };
+        fx -= b.x; fy -= b.y;
+        return b;
+    });
+    p.x = fx * decay; p.y = fy * decay;
+    const sensed = { x: p.x, y: p.y };
+    let spread = 0;  // Of the turning piles about their mean
+    for (const b of piles) {
+        const end = rotateVec(b, b.w * minutes), mean = turnedMean(b, minutes);
+        p.x += end.x; p.y += end.y;
+        sensed.x += mean.x; sensed.y += mean.y;
+        spread += b.x * b.x + b.y * b.y - mean.x * mean.x - mean.y * mean.y;
+    }
+    sensed.mag = Math.sqrt(sensed.x * sensed.x + sensed.y * sensed.y + Math.max(spread, 0));
+    return sensed;
+}
+
+/* The g vector an organ reacts to: along p, sized by the signal
+   of a pile displaced by `mag`, which is also how strongly it
+   is felt whatever its direction */
+function sensedGravity(p, organ, mag = Math.hypot(p.x, p.y)) {
+    const { response } = statolithSignal(p, organ, mag);
+    if (mag < 1e-9 || response <= 0) return { x: 0, y: 0, felt: 0 };
+    const g = gravityForResponse(response);
+    return { x: p.x / mag * g, y: p.y / mag * g, felt: g };
+}
+
+/* ============================================================
+   RESOURCES — Carbon budget, per step:
+   1. Leaves fix carbon: photoRate × leaf area × light, where
+      light sums each lamp's intensity × its PAR share. The
+      cotyledons give a little area before true leaves appear.
+   2. Fixation is limited by water and nutrients, which roots
+      take up in proportion to their length, saturating as
+      uptake = rootLen / (rootLen + uptakeHalf).
+   3. The pool (started from the seed reserve) pays for the
+      length every growing tip wants to add. If it runs short,
+      all tips get the same share, and branching slows with it.
+   A dark plant grows on its reserve and then stops; light lets
+   it keep going at a rate set by the carbon it fixes.
+   Units: carbon is counted in mm of shoot it can build.
+   ============================================================ */
+const RESOURCES = {
+    seedReserve: 60,    // carbon stored in the seed
+    cotyledons: 2,      // leaf area before true leaves
+    photoRate: 0.12,    // carbon per unit leaf area per step, full white light
+    uptakeHalf: 25,     // root length (mm) for half the maximum uptake
+    shootCost: 1,       // carbon per mm of shoot
+    rootCost: 0.6,      // carbon per mm of root
+};
+
+// Photosynthetically useful light from a list of sources
+function photoLight(lights) {
+    return lights.reduce((s, l) => s + l.intensity * LIGHT_SPECTRA[l.spectrum].par, 0);
+}
+
+function leafArea(seg) {
+    const scale = VARIETIES[seg.variety].leafScale;
+    let area = 0;
+    (function walk(s) {
+        for (const leaf of s.leaves) area += leaf.size * scale;
+        s.children.forEach(walk);
+    })(seg);
+    return area;
+}
+
+// Carbon the organ's growing tips want this step
+function carbonDemand(seg) {
+    let demand = 0;
+    (function walk(s) {
+        if (s.growing) demand += s.elongationRate() * (s.isRoot ? RESOURCES.rootCost : RESOURCES.shootCost);
+        s.children.forEach(walk);
+    })(seg);
+    return demand;
+}
+
+/* ============================================================
+   GROWTH CHAMBER — Container, substrate, obstacles, moisture
+   Coordinates are mm from the seed in the plant's own frame
+   (y down), so the container turns with the plant on a
+   clinostat or when a protocol rotates it.
+   - walls: a box; its top is a lid when `lid` is set, otherwise
+     the walls end at the rim and the shoot grows out freely
+   - substrate (agar or soil) fills the box below `surface`;
+     roots in it are slowed by its impedance, and soil jostles
+     their course
+   - obstacles: discs { x, y, r }
+   - moisture: a point { x, y } that roots turn toward, more
+     weakly with distance. Unlike gravitropism this does not
+     depend on g, so in microgravity water steers the root.
+   ============================================================ */
+const SUBSTRATES = {
+    none: { label: 'None (air)', impedance: 0,    jostle: 1 },
+    agar: { label: 'Agar',       impedance: 0.1,  jostle: 1 },
+    soil: { label: 'Soil',       impedance: 0.35, jostle: 2 },
+};
+
+const CHAMBERS = {
+    open: { label: 'Open (no container)' },
+    dish: { label: 'Petri dish (vertical plate)', left: -70, right: 70, top: -55, bottom: 85, lid: true,
+            substrate: 'agar', surface: -55 },
+    tube: { label: 'Culture tube', left: -14, right: 14, top: -70, bottom: 100, lid: true,
+            substrate: 'agar', surface: 20 },
+    pot:  { label: 'Soil pot', left: -90, right: 90, top: -20, bottom: 110, lid: false,
+            substrate: 'soil', surface: 0 },
+};
+
+const HYDROTROPISM = {
+    strength: 0.1,      // fraction of the angle to the source turned per segment, up close
+    range: 80,          // mm over which the pull falls by 1/e
+};
+
+/* Accepts a preset name or { preset, obstacles, moisture }; returns
+   the chamber the model uses, or null for open space with nothing
+   in it. Throws if invalid. */
+function normalizeChamber(spec) {
+    if (spec === null || spec === undefined) return null;
+    const { preset = 'open', obstacles = [], moisture = null } = typeof spec === 'string' ? { preset: spec } : spec;
+    const c = CHAMBERS[preset];
+    if (!c) throw new Error('Unknown chamber: ' + preset);
+    if (!Array.isArray(obstacles)) throw new Error('Chamber obstacles must be a list');
+    for (const o of obstacles) {
+        if (![o.x, o.y, o.r].every(Number.isFinite) || o.r <= 0) throw new Error('Obstacle needs x, y and a radius above 0');
+    }
+    if (moisture !== null && ![moisture.x, moisture.y].every(Number.isFinite)) throw new Error('Moisture source needs x and y');
+    if (preset === 'open' && !obstacles.length && !moisture) return null;
+    return {
+        preset,
+        walls: c.lid === undefined ? null : { left: c.left, right: c.right, top: c.top, bottom: c.bottom, lid: c.lid },
+        substrate: c.substrate || 'none',
+        surface: c.surface ?? 0,
+        obstacles: obstacles.map(o => ({ x: o.x, y: o.y, r: o.r })),
+        moisture: moisture && { x: moisture.x, y: moisture.y },
+    };
+}
+
+function chamberLabel(ch) {
+    if (!ch) return 'open';
+    const parts = [CHAMBERS[ch.preset].label];
+    if (ch.obstacles.length) parts.push(ch.obstacles.length + (ch.obstacles.length === 1 ? ' obstacle' : ' obstacles'));
+    if (ch.moisture) parts.push('moisture at ' + Math.round(ch.moisture.x) + ', ' + Math.round(ch.moisture.y));
+    return parts.join(' + ');
+}
+
+// The substrate at (x, y), or null in air
+function substrateAt(ch, x, y) {
+    if (!ch || ch.substrate === 'none' || y <= ch.surface) return null;
+    return SUBSTRATES[ch.substrate];
+}
+
+/* Does the step from → to run into something? Returns the surface
+   normal (pointing back into free space) and whether it is the lid,
+   or null. Walls only count from inside the box, so a shoot that
+   has grown out over an open rim is not pulled back in. */
+function chamberContact(ch, from, to) {
+    for (const o of ch.obstacles) {
+        const d = Math.hypot(to.x - o.x, to.y - o.y);
+        if (d < o.r) return d > 1e-9 ? { x: (to.x - o.x) / d, y: (to.y - o.y) / d, lid: false } : { x: 0, y: -1, lid: false };
+    }
+    const w = ch.walls;
+    if (!w) return null;
+    if (!(from.x >= w.left && from.x <= w.right && from.y <= w.bottom)) return null;
+    if (to.y < w.top) return w.lid ? { x: 0, y: 1, lid: true } : null;
+    if (from.y < w.top) return null;
+    if (to.x < w.left) return { x: 1, y: 0, lid: false };
+    if (to.x > w.right) return { x: -1, y: 0, lid: false };
+    if (to.y > w.bottom) return { x: 0, y: -1, lid: false };
+    return null;
+}
+
+/* ============================================================
+   PHENOLOGY — Developmental stages on simulated time
+   Each stage starts at the variety's `from` time (hours after
+   sowing) and sets what grows: shoot and root elongation rates
+   and whether new leaves (and so branches) form.
+   - Imbibition: the seed swells; nothing grows
+   - Radicle emergence: the root grows first
+   - Cotyledons: the shoot emerges; seed leaves unfold
+   - True leaves: leaves form at the variety's spacing.
+     Rosette plants ('bolt') keep a short stem until flowering
+   - Flowering: no new leaves; rosettes bolt, grasses head
+   - Senescence: growth stops, leaves yellow oldest first
+   The life cycle ends at `lifespan`.
+   ============================================================ */
+const PHENOLOGY_STAGES = [
+    { id: 'imbibition',   label: 'Imbibition',        from: null,            shoot: 0, root: 0, leaves: false },
+    { id: 'germination',  label: 'Radicle emergence', from: 'germinationAt', shoot: 0, root: 1, leaves: false },
+    { id: 'cotyledons',   label: 'Cotyledons',        from: 'cotyledonsAt',  shoot: 1, root: 1, leaves: false },
+    { id: 'vegetative',   label: 'True leaves',       from: 'trueLeavesAt',  shoot: 1, root: 1, leaves: true },
+    { id: 'reproductive', label: 'Flowering',         from: 'floweringAt',   shoot: 1, root: 1, leaves: false },
+    { id: 'senescence',   label: 'Senescence',        from: 'senescenceAt',  shoot: 0, root: 0, leaves: false },
+    { id: 'senesced',     label: 'Senesced',          from: 'lifespan',      shoot: 0, root: 0, leaves: false },
+];
+
+const PHENOLOGY = {
+    unfoldHours: 6,       // cotyledons open over this long
+    flowerHours: 24,      // buds to open flowers (or a full ear)
+    rosetteGrowth: 0.35,  // 'bolt' stem elongation before flowering
+    boltGrowth: 2,        // and while bolting
+    reproductiveLabels: { flowers: 'Flowering', bolt: 'Bolting & flowering', ear: 'Heading' },
+};
+
+const phenologyStage = id => PHENOLOGY_STAGES.find(st => st.id === id);
+
+// Stage name as shown for this variety (flowering is bolting or heading for some)
+function stageLabel(variety, id) {
+    if (id === 'reproductive') return PHENOLOGY.reproductiveLabels[VARIETIES[variety].inflorescence];
+    return phenologyStage(id).label;
+}
+
+class Plant {
+    /* options.model: 'angle' | 'auxin' (see GROWTH_MODELS)
+       options.statoliths: sense gravity through settling statoliths
+       options.resources: limit growth by the carbon budget
+       options.chamber: container and obstacles (see normalizeChamber)
+       options.tipMovement: 'random' | 'nutation' (see TIP_MOVEMENTS) */
+    /* gravity (g) and lights are the starting conditions: they
+       set how scattered emergence is and are what update() grows
+       under when called without arguments. */
+    constructor(variety, gravity, lights, seed = randomSeed(),
+                { model = 'angle', statoliths = false, resources = false, chamber = null, tipMovement = 'random' } = {}) {
+        this.variety = variety;
+        this.model = model;
+        this.resources = resources
+            ? { pool: RESOURCES.seedReserve, photosynthesis: 0, uptake: 0, demand: 0, supply: 1 }
+            : null;
+        // Statoliths start settled for the initial (upright) gravity
+        this.statoliths = statoliths ? {
+            shoot: { x: 0, y: gravity / (gravity + STATOLITHS.restoring) },
+            root: { x: 0, y: gravity / (gravity + STATOLITHS.restoring) },
+        } : null;
+        this.seed = seed;
+        this.rng = createRng(seed);
+        this.age = 0;
+        this.stage = 'imbibition';
+        this.stageLog = [{ stage: 'imbibition', time: 0 }];  // Transitions, hours after sowing
+        this.cotyledonNode = null;  // Shoot segment the cotyledons stay on once true leaves start
+        this.gravity = { x: 0, y: gravity };
+        this.lights = normalizeLights(lights ?? 'none');
+        this.orientation = 0;  // Clockwise rotation in the lab frame (radians)
+        
+        const v = VARIETIES[variety];
+        this.maxShootLength = v.maxStemLen;
+        this.maxRootLength = v.maxRootLen;
+        
+        // Seedlings emerge near-vertical in 1 g, scattered without gravity
+        const [upright, free] = ARCHITECTURE.emergence;
+        const jitter = (this.rng() - 0.5) * lerp(free, upright, Math.min(gravResponse(gravity), 1));
+        this.shoot = new Segment(null, false, variety, jitter, false, this.rng);
+        this.root = new Segment(null, true, variety, jitter, false, this.rng);
+        if (model === 'auxin') {
+            this.shoot.auxin = { left: 1, right: 1 };
+            this.root.auxin = { left: 1, right: 1 };
+        }
+        this.chamber = normalizeChamber(chamber);
+        this.shoot.chamber = this.chamber;
+        this.root.chamber = this.chamber;
+        this.tipMovement = tipMovement;
+        if (tipMovement === 'nutation') {
+            this.shoot.nutation = { phase: this.rng() * 2 * Math.PI, value: 0, anchor: null };
+            this.root.nutation = { phase: this.rng() * 2 * Math.PI, value: 0, anchor: null };
+        }
+    }
+
+    /* gravity: { x, y } vector in g, in the chamber frame (the
+       clinostat's rotation is already applied). lights is a list
+       of sources (or a direction name) in the lab. Both are turned
+       into the plant's own frame, so a reoriented plant sees
+       gravity from the side. Both default to the starting
+       conditions. */
+    update(gravity = this.gravity, lights = this.lights) {
+        this.age++;
+        this._advanceStage();
+        const phase = phenologyStage(this.stage);
+        const shootRate = phase.shoot * this._stemFactor();
+        if (!shootRate && !phase.root) return;
+        
+        const g = { ...rotateVec(gravity, -this.orientation), felt: gravity.felt ?? Math.hypot(gravity.x, gravity.y) };
+        let gShoot = g, gRoot = g;
+        if (this.statoliths) {
+            const parts = (gravity.parts ?? [{ x: gravity.x, y: gravity.y, w: 0 }])
+                .map(c => ({ ...rotateVec(c, -this.orientation), w: c.w }));
+            const shoot = settleStatoliths(this.statoliths.shoot, parts, 'shoot', STEP_MINUTES);
+            const root = settleStatoliths(this.statoliths.root, parts, 'root', STEP_MINUTES);
+            gShoot = sensedGravity(shoot, 'shoot', shoot.mag);
+            gRoot = sensedGravity(root, 'root', root.mag);
+        }
+        if (typeof lights === 'string') lights = lightsFromDir(lights);
+        const pull = lightVector(lights);
+        const strength = Math.min(Math.hypot(pull.x, pull.y), LIGHT_MAX_RESPONSE);
+        const light = strength > 1e-9
+            ? { angle: Math.atan2(pull.y, pull.x) - this.orientation, strength }
+            : null;
+        const shootLen = this.shoot.totalLength();
+        const rootLen = this.root.totalLength();
+        const supply = this.resources ? this._carbonStep(lights, rootLen, shootRate, phase.root) : 1;
+        
+        if (shootRate) this.shoot.grow(gShoot, light, shootLen, this.maxShootLength, supply, { rate: shootRate, leaves: phase.leaves });
+        if (phase.root) this.root.grow(gRoot, light, rootLen, this.maxRootLength, supply, { rate: phase.root, leaves: false });
+        if (this.model === 'auxin') {
+            if (shootRate) this._auxinStep(this.shoot, gShoot, light);
+            if (phase.root) this._auxinStep(this.root, gRoot, light);
+        }
+    }
+
+    // Hours since sowing
+    get hours() {
+        return this.age * STEP_MINUTES / 60;
+    }
+
+    // Move on to every stage whose start time has passed (see PHENOLOGY_STAGES)
+    _advanceStage() {
+        const v = VARIETIES[this.variety];
+        let i = PHENOLOGY_STAGES.findIndex(st => st.id === this.stage);
+        while (i + 1 < PHENOLOGY_STAGES.length && this.hours >= v[PHENOLOGY_STAGES[i + 1].from]) {
+            this.stage = PHENOLOGY_STAGES[++i].id;
+            this.stageLog.push({ stage: this.stage, time: this.hours });
+            if (this.stage === 'vegetative') this.cotyledonNode = mainAxis(this.shoot).pop();
+        }
+    }
+
+    // Stem elongation for rosette plants: short until they bolt
+    _stemFactor() {
+        if (VARIETIES[this.variety].inflorescence !== 'bolt') return 1;
+        return this.stage === 'reproductive' ? PHENOLOGY.boltGrowth : PHENOLOGY.rosetteGrowth;
+    }
+
+    // 0–1 progress through a timed process starting at hour `from`
+    _progress(from, hours) {
+        return Math.max(0, Math.min(1, (this.hours - from) / hours));
+    }
+
+    // How far the cotyledons, flowers and senescence have got (0–1)
+    cotyledonsOpen() { return this._progress(VARIETIES[this.variety].cotyledonsAt, PHENOLOGY.unfoldHours); }
+    flowering() { return this._progress(VARIETIES[this.variety].floweringAt, PHENOLOGY.flowerHours); }
+    senescence() {
+        const v = VARIETIES[this.variety];
+        return this._progress(v.senescenceAt, v.lifespan - v.senescenceAt);
+    }
+
+    // Segment whose end carries the cotyledons (null before the shoot emerges)
+    cotyledonSegment() {
+        if (this.cotyledonNode) return this.cotyledonNode;
+        return this.stage === 'cotyledons' ? mainAxis(this.shoot).pop() : null;
+    }
+
+    // One auxin transport and bending step over an organ (see AUXIN)
+    _auxinStep(base, g, light) {
+        const segs = [];
+        const walk = seg => { segs.push(seg); seg.children.forEach(walk); };
+        walk(base);
+
+        const gMag = Math.hypot(g.x, g.y);
+        const gResp = gMag > 0 ? gravResponse(gMag) / gMag : 0;
+        const lightStrength = light ? Math.min(light.strength, 1) : 0;
+
+        for (const seg of segs) {
+            const a = seg.auxin;
+            if (!seg.growing) seg.matureSteps++;
+            if (seg.growing && !seg.hasTip) {
+                a.left += AUXIN.tipRate * (AUXIN.tipLevel - a.left);
+                a.right += AUXIN.tipRate * (AUXIN.tipLevel - a.right);
+            }
+            if (seg.matureSteps < AUXIN.zoneSteps) {
+                // Right-flank normal: the growth direction turned 90° clockwise
+                const ang = seg.angle;
+                const nx = -Math.sin(ang), ny = Math.cos(ang);
+                const v = VARIETIES[seg.variety];
+                const gs = seg.setPoint ? rotateVec(g, seg.setPoint) : g;  // Branches: relative to their set point
+                let stim = (gs.x * nx + gs.y * ny) * gResp * v.gravitropism;
+                if (light) stim -= (Math.cos(light.angle) * nx + Math.sin(light.angle) * ny) * lightStrength * v.phototropism;
+                stim = Math.max(-1, Math.min(1, stim));
+                const t = AUXIN.lateral * stim * (a.left + a.right) / 2;
+                a.left = Math.max(a.left - t, 0.05);
+                a.right = Math.max(a.right + t, 0.05);
+            }
+            const even = AUXIN.evenOut * (a.right - a.left) / 2;
+            a.left += even; a.right -= even;
+        }
+
+        // Diffusion along the chain, from a snapshot so order doesn't matter
+        const before = new Map(segs.map(seg => [seg, { ...seg.auxin }]));
+        for (const seg of segs) {
+            if (!seg.parent) continue;
+            const pa = before.get(seg.parent), ca = before.get(seg);
+            for (const side of ['left', 'right']) {
+                const flux = AUXIN.diffusion * (pa[side] - ca[side]);
+                seg.auxin[side] += flux;
+                seg.parent.auxin[side] -= flux;
+            }
+        }
+
+        for (const seg of segs) {
+            const a = seg.auxin;
+            a.left += AUXIN.decay * (1 - a.left);
+            a.right += AUXIN.decay * (1 - a.right);
+            if (!seg.parent || seg.matureSteps >= AUXIN.zoneSteps) continue;
+            // Flank elongation: auxin promotes in shoots, inhibits in roots
+            const eL = seg.isRoot ? 1 / a.left : a.left;
+            const eR = seg.isRoot ? 1 / a.right : a.right;
+            seg.angleOffset -= AUXIN.bend * (eR - eL) / ((eR + eL) / 2);
+        }
+    }
+
+    // Fix carbon, pay for growth; returns the share of demand met (see RESOURCES)
+    _carbonStep(lights, rootLen, shootRate = 1, rootRate = 1) {
+        const res = this.resources;
+        const area = RESOURCES.cotyledons + leafArea(this.shoot);
+        res.uptake = rootLen / (rootLen + RESOURCES.uptakeHalf);
+        res.photosynthesis = RESOURCES.photoRate * area * photoLight(lights) * res.uptake;
+        res.pool += res.photosynthesis;
+        res.demand = carbonDemand(this.shoot) * shootRate + carbonDemand(this.root) * rootRate;
+        res.supply = res.demand > 0 ? Math.min(1, res.pool / res.demand) : 1;
+        res.pool = Math.max(0, res.pool - res.demand * res.supply);
+        return res.supply;
+    }
+
+    // Turn the whole plant about its seed, clockwise positive
+    rotate(degrees) {
+        this.orientation += degrees * Math.PI / 180;
+    }
+
+    // Extent in the lab frame (after any reorientation); organ: 'shoot' | 'root' | 'all'
+    bounds(organ = 'all') {
+        const pts = [];
+        if (organ !== 'root') collectPts(this.shoot, pts);
+        if (organ !== 'shoot') collectPts(this.root, pts);
+        if (this.orientation) pts.forEach((p, i) => { pts[i] = rotateVec(p, this.orientation); });
+        if (!pts.length) return { minX: -20, maxX: 20, minY: -20, maxY: 20 };
+        return {
+            minX: Math.min(...pts.map(p => p.x)),
+            maxX: Math.max(...pts.map(p => p.x)),
+            minY: Math.min(...pts.map(p => p.y)),
+            maxY: Math.max(...pts.map(p => p.y)),
+        };
+    }
+
+    isFullyGrown() {
+        return this.shoot.isFullyGrown() && this.root.isFullyGrown();
+    }
+
+    // The life cycle is over (see PHENOLOGY)
+    isFinished() {
+        return this.stage === 'senesced';
+    }
+
+    // Out of carbon with none coming in: growth has stopped for good
+    isStarved() {
+        const res = this.resources;
+        return !!res && this.stage !== 'imbibition' && res.pool < 1e-6 && res.photosynthesis === 0;
+    }
+}
+
+function rotateVec(v, rad) {
+    const c = Math.cos(rad), s = Math.sin(rad);
+    return { x: v.x * c - v.y * s, y: v.x * s + v.y * c };
+}
+function dirToRad(dir) { return { top: -Math.PI / 2, bottom: Math.PI / 2, left: Math.PI, right: 0 }[dir] ?? 0; }
+function angleDiff(a, b) {
+    let d = a - b;
+    while (d > Math.PI) d -= 2 * Math.PI;
+    while (d < -Math.PI) d += 2 * Math.PI;
+    return d;
+}
+function collectPts(seg, out) {
+    out.push({ x: seg.x, y: seg.y }, { x: seg.endX, y: seg.endY });
+    seg.children.forEach(c => collectPts(c, out));
+}
+function countBranches(seg) {
+    let count = 0;
+    for (const child of seg.children) {
+        if (child.order > seg.order) count++;  // A branch's own tips don't count
+        count += countBranches(child);
+    }
+    return count;
+}
+
+// Follow the continuation tips from an organ's base, ignoring branches
+function mainAxis(seg) {
+    const axis = [seg];
+    for (let next = seg.children.find(c => !c.isBranch); next; next = next.children.find(c => !c.isBranch)) {
+        axis.push(next);
+    }
+    return axis;
+}
+
+const toDeg = rad => rad * 180 / Math.PI;
+const round1 = v => Math.round(v * 10) / 10;
+
+/* Growth measures recorded at every sample. Angles are in degrees
+   in the lab frame, along the main axis:
+     tipAngle     shoot tip from straight up, + = leaning right
+     rootAngle    root tip from straight down, + = leaning right
+     lightAngle   shoot tip from where the light comes from (null if dark)
+     straightness base-to-tip distance / shoot path length, 1 = straight
+     curvature    total turning along the shoot, summed |bends|
+     spread       horizontal extent of the whole plant
+     rootDep      length of the primary root
+     rootLength   total length of all roots, laterals included
+     rootWidth    horizontal extent of the root system
+     laterals     lateral roots of all orders
+     stage        developmental stage id (see PHENOLOGY_STAGES)
+     carbon       carbon pool (null without the resource budget)
+     supply       % of the last step's carbon demand that was met */
+function measurePlant(plant, lights = []) {
+    const shoot = mainAxis(plant.shoot), root = mainAxis(plant.root);
+    const shootTip = shoot[shoot.length - 1], rootTip = root[root.length - 1];
+    const shootAngle = shootTip.angle + plant.orientation, rootAngle = rootTip.angle + plant.orientation;
+    const path = shoot.reduce((s, seg) => s + seg.length, 0);
+    const net = Math.hypot(shootTip.endX - plant.shoot.x, shootTip.endY - plant.shoot.y);
+    const bends = shoot.slice(1).reduce((s, seg) => s + Math.abs(seg.angleOffset), 0);
+    const b = plant.bounds();
+    const rw = plant.bounds('root');
+    const lv = lightVector(typeof lights === 'string' ? lightsFromDir(lights) : lights, 'intensity');
+    const lit = Math.hypot(lv.x, lv.y) > 1e-9;
+    return {
+        stemLen: parseFloat(plant.shoot.totalLength().toFixed(1)),
+        rootDep: parseFloat(root.reduce((s, seg) => s + seg.length, 0).toFixed(1)),
+        rootLength: parseFloat(plant.root.totalLength().toFixed(1)),
+        rootWidth: round1(rw.maxX - rw.minX),
+        branches: countBranches(plant.shoot),
+        laterals: countBranches(plant.root),
+        tipAngle: round1(toDeg(angleDiff(shootAngle, -Math.PI / 2))),
+        rootAngle: round1(-toDeg(angleDiff(rootAngle, Math.PI / 2))),
+        lightAngle: lit ? round1(Math.abs(toDeg(angleDiff(shootAngle, Math.atan2(lv.y, lv.x))))) : null,
+        straightness: path > 0 ? Math.round(net / path * 1000) / 1000 : 1,
+        curvature: round1(toDeg(bends)),
+        spread: round1(b.maxX - b.minX),
+        stage: plant.stage,
+        carbon: plant.resources ? round1(plant.resources.pool) : null,
+        supply: plant.resources ? Math.round(plant.resources.supply * 100) : null,
+    };
+}
+
+/* Flatten the segment tree (shoot first, then root) into plain
+   records; parent is the index of the parent record. */
+function plantGeometry(plant) {
+    const segments = [];
+    const r2 = v => Math.round(v * 100) / 100;
+    const walk = (seg, parentId) => {
+        const id = segments.length;
+        segments.push({
+            id, parent: parentId,
+            organ: seg.isRoot ? 'root' : 'shoot',
+            branch: seg.isBranch,
+            x: r2(seg.x), y: r2(seg.y), endX: r2(seg.endX), endY: r2(seg.endY),
+            angle: Math.round(seg.angle * 10000) / 10000,
+            length: r2(seg.length),
+            width: r2(seg.baseWidth),
+            leaves: seg.leaves.map(l => ({ position: r2(l.position), side: l.side, size: r2(l.size) })),
+            ...(seg.auxin && { auxin: { left: r2(seg.auxin.left), right: r2(seg.auxin.right) } }),
+        });
+        seg.children.forEach(c => walk(c, id));
+    };
+    walk(plant.shoot, null);
+    walk(plant.root, null);
+    return segments;
+}
+
+/* ============================================================
+   SAVED PLANTS
+   serializePlant() turns a plant into plain JSON data: every
+   field of the plant and of each segment, minus the links between
+   them (parent, the shared RNG and chamber), which restorePlant()
+   rebuilds. The RNG's state is kept, so a restored plant grows on
+   exactly as the original would have.
+   ============================================================ */
+const PLANT_LINKS = ['rng', 'shoot', 'root', 'chamber', 'cotyledonNode'];
+const SEGMENT_LINKS = ['parent', 'rng', 'chamber', 'children'];
+const SEGMENT_UNBOUNDED = ['nextLeafAt', 'nextLateralAt'];  // Infinity, which JSON writes as null
+
+function ownFields(obj, skip) {
+    const out = {};
+    for (const key of Object.keys(obj)) if (!skip.includes(key)) out[key] = obj[key];
+    return out;
+}
+
+// Segments in tree order, so one can be saved as its index
+function segmentList(seg, out = []) {
+    out.push(seg);
+    seg.children.forEach(c => segmentList(c, out));
+    return out;
+}
+
+function serializeSegment(seg) {
+    return { ...ownFields(seg, SEGMENT_LINKS), children: seg.children.map(serializeSegment) };
+}
+
+function serializePlant(plant) {
+    const data = {
+        ...ownFields(plant, PLANT_LINKS),
+        rngState: plant.rng.state(),
+        chamber: plant.chamber,
+        cotyledonNode: plant.cotyledonNode ? segmentList(plant.shoot).indexOf(plant.cotyledonNode) : null,
+        shoot: serializeSegment(plant.shoot),
+        root: serializeSegment(plant.root),
+    };
+    return JSON.parse(JSON.stringify(data));  // A copy the plant can't change later
+}
+
+function restoreSegment(data, parent, plant) {
+    const seg = Object.assign(Object.create(Segment.prototype), ownFields(data, ['children']));
+    for (const key of SEGMENT_UNBOUNDED) if (seg[key] === null) seg[key] = Infinity;
+    seg.parent = parent;
+    seg.rng = plant.rng;
+    seg.chamber = plant.chamber;
+    seg.children = data.children.map(c => restoreSegment(c, seg, plant));
+    return seg;
+}
+
+// Throws if the data is not a saved plant or its variety is unknown
+function restorePlant(data) {
+    if (!data || !data.shoot || !data.root || !Number.isFinite(data.rngState)) throw new Error('Not a saved plant');
+    if (!VARIETIES[data.variety]) throw new Error('Unknown variety "' + data.variety + '"');
+    data = JSON.parse(JSON.stringify(data));
+    const plant = Object.assign(Object.create(Plant.prototype), ownFields(data, PLANT_LINKS.concat('rngState')));
+    plant.rng = createRng(data.seed, data.rngState);
+    plant.chamber = data.chamber;
+    plant.shoot = restoreSegment(data.shoot, null, plant);
+    plant.root = restoreSegment(data.root, null, plant);
+    plant.cotyledonNode = data.cotyledonNode === null ? null : segmentList(plant.shoot)[data.cotyledonNode] ?? null;
+    return plant;
+}
+
+/* ============================================================
+   GROWTH HISTORY
+   Enough to regrow a plant to any earlier step: the conditions
+   of every step (stored once each, steps hold an index) and a
+   saved copy of the plant every HISTORY_CHECKPOINT_STEPS.
+   plantAt() restores the last copy at or before a step and grows
+   on from there, which the seeded RNG makes exact. Plain data,
+   so it is saved with the plant.
+   ============================================================ */
+const HISTORY_CHECKPOINT_STEPS = 144;  // 12 h
+
+function createHistory(plant) {
+    return { conditions: [], steps: [], checkpoints: [{ step: plant.age, plant: serializePlant(plant) }] };
+}
+
+/* Call after each plant.update(). cond is what the step grew
+   under: { gravity (g), lights, clinostat: { mode, rpm } }. */
+function recordHistory(history, plant, cond) {
+    const c = {
+        gravity: cond.gravity,
+        lights: normalizeLights(cond.lights),
+        clinostat: { mode: cond.clinostat.mode, rpm: cond.clinostat.rpm },
+        orientation: plant.orientation,
+    };
+    const key = JSON.stringify(c);
+    let i = history.conditions.length - 1;
+    if (i < 0 || JSON.stringify(history.conditions[i]) !== key) {
+        i = history.conditions.findIndex(h => JSON.stringify(h) === key);
+        if (i < 0) i = history.conditions.push(c) - 1;
+    }
+    history.steps.push(i);
+    if (history.steps.length % HISTORY_CHECKPOINT_STEPS === 0) {
+        history.checkpoints.push({ step: history.steps.length, plant: serializePlant(plant) });
+    }
+}
+
+// Conditions of a step (the last one for steps beyond the end)
+function historyConditions(history, step) {
+    if (!history.steps.length) return null;
+    return history.conditions[history.steps[Math.max(0, Math.min(step, history.steps.length - 1))]];
+}
+
+// Grow plant (at step `from`) on to step `to`, as the history did
+function replayHistory(history, plant, from, to) {
+    for (let i = from; i < to; i++) {
+        const c = history.conditions[history.steps[i]];
+        const m0 = i * STEP_MINUTES;
+        plant.orientation = c.orientation;
+        plant.update(gravityStimulus(c.gravity, c.clinostat.mode, c.clinostat.rpm, m0, m0 + STEP_MINUTES), c.lights);
+    }
+    return plant;
+}
+
+// A new plant as it was after `step` steps
+function plantAt(history, step) {
+    step = Math.max(0, Math.min(Math.round(step), history.steps.length));
+    const cp = history.checkpoints.filter(c => c.step <= step).pop();
+    return replayHistory(history, restorePlant(cp.plant), cp.step, step);
+}
+
+/* ============================================================
+   PROTOCOLS
+   A protocol is a list of timed steps, { at (hours), action,
+   value }, applied in time order as the clock passes them.
+   Text form, one step per line or separated by ';':
+       0 h light top
+       2 h rotate 90
+       2 h gravity 0
+   ============================================================ */
+const PROTOCOL_ACTIONS = {
+    gravity:   { label: 'Gravity',     unit: 'g', parse: Number },
+    light:     { label: 'Light',       unit: '',  parse: String },
+    clinostat: { label: 'Clinostat',   unit: '',  parse: String },
+    rotate:    { label: 'Rotate plant', unit: '°', parse: Number },
+};
+
+// Throws on the first invalid step; returns the steps sorted by time
+function validateProtocol(steps) {
+    for (const st of steps) {
+        const where = 'Protocol step at ' + st.at + ' h: ';
+        if (!(st.at >= 0)) throw new Error('Protocol step time must be 0 h or later: ' + st.at);
+        if (!PROTOCOL_ACTIONS[st.action]) throw new Error(where + 'unknown action "' + st.action + '"');
+        if (st.action === 'gravity' && !(st.value >= 0 && st.value <= GRAVITY_MAX)) throw new Error(where + 'gravity must be 0 – ' + GRAVITY_MAX + ' g');
+        if (st.action === 'light' && !LIGHT_DIRECTIONS.includes(st.value)) throw new Error(where + 'unknown light direction "' + st.value + '"');
+        if (st.action === 'clinostat' && !CLINOSTAT_MODES[st.value]) throw new Error(where + 'unknown clinostat mode "' + st.value + '"');
+        if (st.action === 'rotate' && !Number.isFinite(st.value)) throw new Error(where + 'rotation must be a number of degrees');
+    }
+    // Stable sort keeps same-time steps in the order written
+    return steps.slice().sort((a, b) => a.at - b.at);
+}
+
+function parseProtocol(text) {
+    const steps = String(text).split(/[;\n]/).map(s => s.trim()).filter(Boolean).map(line => {
+        const m = line.match(/^(\d+(?:\.\d+)?)\s*h?\s*:?\s*([a-z]+)\s+(\S+?)\s*°?$/i);
+        if (!m) throw new Error('Cannot read protocol step "' + line + '" (expected e.g. "2 h rotate 90")');
+        const action = m[2].toLowerCase();
+        const spec = PROTOCOL_ACTIONS[action];
+        return { at: parseFloat(m[1]), action, value: spec ? spec.parse(m[3]) : m[3] };
+    });
+    return validateProtocol(steps);
+}
+
+function protocolStepLabel(st) {
+    const a = PROTOCOL_ACTIONS[st.action];
+    const value = st.action === 'gravity' ? gravityLabel(st.value)
+                : st.action === 'rotate' ? (st.value > 0 ? '+' : '') + st.value + '°'
+                : st.value;
+    return st.at + ' h: ' + a.label.toLowerCase() + ' ' + value;
+}
+
+const protocolLabel = steps => steps.map(protocolStepLabel).join('; ');
+
+// The text form above, which parseProtocol reads back
+const protocolText = steps => steps.map(st => st.at + ' h ' + st.action + ' ' + st.value).join('; ');
+
+/* ============================================================
+   HEADLESS RUNS
+   Grows one plant with the same stepping the page uses and
+   returns its sampled time series and final geometry. Runs for
+   `steps` steps, or until mature when steps is omitted. Protocol
+   steps are applied at the start of the step they fall in.
+   ============================================================ */
+function runSimulation({
+    variety = 'cress',
+    gravity = 1,
+    light = 'none',
+    seed = randomSeed(),
+    steps = null,
+    clinostat = { mode: 'off', rpm: 0 },
+    sampleInterval = SAMPLE_INTERVAL_MIN,
+    protocol = [],
+    model = 'angle',
+    statoliths = false,
+    resources = false,
+    chamber = null,
+    tipMovement = 'random',
+} = {}) {
+    if (!VARIETIES[variety]) throw new Error('Unknown variety: ' + variety);
+    if (!(gravity >= 0 && gravity <= GRAVITY_MAX)) throw new Error('Gravity must be between 0 and ' + GRAVITY_MAX + ' g: ' + gravity);
+    let lights = normalizeLights(light);
+    if (!GROWTH_MODELS[model]) throw new Error('Unknown growth model: ' + model);
+    const room = normalizeChamber(chamber);
+    if (!TIP_MOVEMENTS[tipMovement]) throw new Error('Unknown tip movement: ' + tipMovement);
+    if (!CLINOSTAT_MODES[clinostat.mode]) throw new Error('Unknown clinostat mode: ' + clinostat.mode);
+    const seedNum = typeof seed === 'number' ? seed >>> 0 : parseSeed(seed);
+    if (seedNum === null) throw new Error('Invalid seed: ' + seed);
+    let rpm = clinostat.mode === 'off' ? 0 : (clinostat.rpm ?? CLINOSTAT_MODES[clinostat.mode].rpm);
+    const start = { gravity, light: lightsLabel(lights), lights, clinostat: { mode: clinostat.mode, rpm } };
+    const schedule = validateProtocol(protocol);
+    let mode = clinostat.mode;
+
+    const plant = new Plant(variety, gravity, lights, seedNum, { model, statoliths, resources, chamber: room, tipMovement });
+    const limit = steps ?? MAX_STEPS;
+    const series = [];
+    const events = [];
+    let minutes = 0, nextSample = sampleInterval, step = 0, next = 0, staged = 1;
+
+    while (step < limit) {
+        while (next < schedule.length && schedule[next].at * 60 <= minutes) {
+            const st = schedule[next++];
+            if (st.action === 'gravity') gravity = st.value;
+            else if (st.action === 'light') lights = lightsFromDir(st.value);
+            else if (st.action === 'clinostat') { mode = st.value; rpm = CLINOSTAT_MODES[mode].rpm; }
+            else if (st.action === 'rotate') plant.rotate(st.value);
+            events.push({ time: minutes / 60, label: protocolStepLabel(st) });
+        }
+        const g = gravityStimulus(gravity, mode, rpm, minutes, minutes + STEP_MINUTES);
+        minutes += STEP_MINUTES; step++;
+        plant.update(g, lights);
+        while (staged < plant.stageLog.length) {
+            const st = plant.stageLog[staged++];
+            events.push({ time: st.time, label: stageLabel(variety, st.stage) });
+        }
+        if (plant.isFinished() || plant.isStarved()) break;
+        if (minutes >= nextSample) {
+            nextSample += sampleInterval;
+            series.push({ time: minutes / 60, ...measurePlant(plant, lights) });
+        }
+    }
+    if (!series.length || series[series.length - 1].time !== minutes / 60) {
+        series.push({ time: minutes / 60, ...measurePlant(plant, lights) });
+    }
+
+    return {
+        params: { variety, ...start, seed: seedNum, model, statoliths, resources,
+                  chamber: room, tipMovement, protocol: schedule },
+        steps: step,
+        minutes,
+        complete: plant.isFinished(),
+        stages: plant.stageLog.map(st => ({ ...st, label: stageLabel(variety, st.stage) })),
+        starved: plant.isStarved(),
+        series,
+        events,
+        geometry: plantGeometry(plant),
+    };
+}
+
+/* ============================================================
+   CSV
+   One cell of a CSV row, quoted only when it has to be: for a
+   delimiter, quote or line break, or for a leading '#' or
+   space a reader would drop. The page's export and batch.js
+   both write their cells through this.
+   ============================================================ */
+function csvCell(v) {
+    if (v === null || v === undefined) return '';
+    const s = String(v);
+    return /[",\r\n]|^[\s#]|\s$/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/* ============================================================
+   REPLICATE STATISTICS
+   Small-sample summaries for groups of runs. The t distribution
+   is evaluated through the regularized incomplete beta function
+   (continued fraction, as in Numerical Recipes) so no stats
+   library is needed.
+   ============================================================ */
+function logGamma(x) {
+    // Lanczos approximation, g = 7
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+               -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+               9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function betaContinuedFraction(x, a, b) {
+    const TINY = 1e-30;
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d; h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 1e-12) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value of a t statistic with df degrees of freedom
+function tTwoSidedP(t, df) {
+    if (!Number.isFinite(t)) return Number.isNaN(t) ? NaN : 0;
+    return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Critical t for a two-sided interval, e.g. tCritical(0.95, 4) ≈ 2.776
+function tCritical(level, df) {
+    const alpha = 1 - level;
+    let lo = 0, hi = 1000;
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (tTwoSidedP(mid, df) > alpha) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/* Mean, sample SD and 95% CI half-width of a list of numbers.
+   SD and CI are 0 for a single value — there is no spread to
+   estimate yet. */
+function summarize(values) {
+    const n = values.length;
+    if (!n) return { n: 0, mean: NaN, sd: NaN, ci: NaN };
+    const mean = values.reduce((a, v) => a + v, 0) / n;
+    if (n < 2) return { n, mean, sd: 0, ci: 0 };
+    const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1));
+    return { n, mean, sd, ci: tCritical(0.95, n - 1) * sd / Math.sqrt(n) };
+}
+
+/* Two-sample t-tests of a against b. Welch's test does not assume
+   equal variances and is the one to report by default; Student's
+   pooled test is included for comparison with textbook examples.
+   Returns null when either group has fewer than two values. */
+function tTest(a, b) {
+    const A = summarize(a), B = summarize(b);
+    if (A.n < 2 || B.n < 2) return null;
+    const va = A.sd ** 2 / A.n, vb = B.sd ** 2 / B.n;
+    const diff = A.mean - B.mean;
+
+    const welchT = diff / Math.sqrt(va + vb);
+    const welchDf = (va + vb) ** 2 / (va ** 2 / (A.n - 1) + vb ** 2 / (B.n - 1));
+
+    const pooled = ((A.n - 1) * A.sd ** 2 + (B.n - 1) * B.sd ** 2) / (A.n + B.n - 2);
+    const studentT = diff / Math.sqrt(pooled * (1 / A.n + 1 / B.n));
+    const studentDf = A.n + B.n - 2;
+
+    // Identical constant groups give 0/0; treat as no difference
+    const p = (t, df) => Number.isNaN(t) ? 1 : tTwoSidedP(t, df);
+    return {
+        a: A, b: B, diff,
+        welch: { t: welchT, df: welchDf, p: p(welchT, welchDf) },
+        student: { t: studentT, df: studentDf, p: p(studentT, studentDf) },
+    };
+}
+
+/* ============================================================
+   MEASURED DATA
+   Bench or flight measurements read from CSV to lay over the
+   simulated curves. parseCsv() splits the file; readMeasurements()
+   maps its columns onto measurePlant() keys and reports the rows
+   it can't use; fitStats() scores a simulated series against them.
+   ============================================================ */
+const MEASURED_FIELDS = {
+    time:    { label: 'Time',        guess: /^(time|t|hours?|hrs?|days?|min(ute)?s?)(?![a-z])/i },
+    stemLen: { label: 'Stem length', guess: /^(?!.*angle).*(stem|shoot|hypocotyl)/i, min: 0 },
+    rootDep: { label: 'Root length', guess: /^(?!.*angle).*root/i, min: 0 },
+    angle:   { label: 'Angle',       guess: /angle|bend/i },
+};
+const MEASURED_ANGLES = ['tipAngle', 'rootAngle'];  // What the angle column is compared with
+const TIME_UNITS = { h: 1, min: 1 / 60, d: 24 };
+
+/* Rows of a CSV file, quotes and all. The delimiter (comma,
+   semicolon or tab) is guessed from the header; blank lines and
+   lines starting with '#' are skipped. Each row keeps its line
+   number for error messages. */
+function parseCsv(text) {
+    text = String(text).replace(/^\ufeff/, '');
+    const head = text.split(/\r?\n/).find(l => l.trim() && !l.startsWith('#')) || '';
+    const delimiter = [';', '\t'].reduce((best, d) => head.split(d).length > head.split(best).length ? d : best, ',');
+    const records = [];
+    let cells = [], cell = '', quoted = false, line = 1, start = 1, lineAt = 0;
+    for (let i = 0; i <= text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === undefined) throw new Error('Line ' + start + ': a quoted value is never closed');
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else { if (ch === '\n') line++; cell += ch; }
+        } else if (ch === '"' && !cell.trim()) {
+            quoted = true; cell = '';
+        } else if (ch === delimiter) {
+            cells.push(cell.trim()); cell = '';
+        } else if (ch === '\n' || ch === '\r' || ch === undefined) {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell.trim());
+            if (text[lineAt] !== '#' && cells.some(Boolean)) records.push({ line: start, cells });
+            cells = []; cell = '';
+            start = ++line; lineAt = i + 1;
+        } else {
+            cell += ch;
+        }
+    }
+    if (records.length < 2) throw new Error('Expected a header row and at least one row of data');
+    return { delimiter, header: records[0].cells, rows: records.slice(1) };
+}
+
+// Header index for each field, guessed from the column names (-1 = none)
+function guessColumns(header) {
+    const used = new Set();
+    return Object.fromEntries(Object.entries(MEASURED_FIELDS).map(([f, spec]) => {
+        const i = header.findIndex((h, j) => !used.has(j) && spec.guess.test(h));
+        if (i >= 0) used.add(i);
+        return [f, i];
+    }));
+}
+
+/* Points { time (h), <measure key>: value | null } from the mapped
+   columns. columns: field → header index, -1 to leave out. Rows
+   with an unreadable time or value are left out and listed in
+   errors as { line, message }. */
+function readMeasurements(csv, { columns, timeUnit = 'h', angleKey = 'tipAngle' }) {
+    if (!(columns.time >= 0)) throw new Error('Choose the column holding the time');
+    if (!TIME_UNITS[timeUnit]) throw new Error('Unknown time unit "' + timeUnit + '"');
+    if (!MEASURED_ANGLES.includes(angleKey)) throw new Error('Unknown angle measure "' + angleKey + '"');
+    const fields = Object.keys(MEASURED_FIELDS).filter(f => f !== 'time' && columns[f] >= 0);
+    if (!fields.length) throw new Error('Choose at least one column of measurements');
+    const keyOf = f => f === 'angle' ? angleKey : f;
+
+    // Decimal commas are read too, unless commas separate the columns
+    const number = s => {
+        s = s.replace(/\s/g, '');
+        if (csv.delimiter !== ',') s = s.replace(',', '.');
+        if (!s) return null;
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s) ? parseFloat(s) : NaN;
+    };
+
+    const points = [], errors = [];
+    for (const { line, cells } of csv.rows) {
+        const raw = cells[columns.time] ?? '';
+        const time = number(raw);
+        if (time === null || !(time >= 0)) {
+            errors.push({ line, message: 'time "' + raw + '" is not a number (0 or more)' });
+            continue;
+        }
+        const p = { time: time * TIME_UNITS[timeUnit] };
+        const problem = fields.map(f => {
+            const spec = MEASURED_FIELDS[f], text = cells[columns[f]] ?? '', v = number(text);
+            if (Number.isNaN(v)) return spec.label.toLowerCase() + ' "' + text + '" is not a number';
+            if (v !== null && v < spec.min) return spec.label.toLowerCase() + ' ' + v + ' is below ' + spec.min;
+            p[keyOf(f)] = v;
+            return null;
+        }).find(Boolean);
+        if (problem) errors.push({ line, message: problem });
+        else if (fields.every(f => p[keyOf(f)] === null)) errors.push({ line, message: 'no measurements' });
+        else points.push(p);
+    }
+    points.sort((a, b) => a.time - b.time);
+    return { points, errors, keys: fields.map(keyOf) };
+}
+
+// A sampled series at time t, linear between samples; null outside it
+function seriesAt(points, key, t) {
+    const i = points.findIndex(p => p.time >= t);
+    if (i < 0) return null;
+    const b = points[i];
+    if (b.time === t) return b[key] ?? null;
+    const a = points[i - 1];
+    if (!a || a[key] === null || b[key] === null || a[key] === undefined || b[key] === undefined) return null;
+    return lerp(a[key], b[key], (t - a.time) / (b.time - a.time));
+}
+
+/* How well a simulated series matches measurements of one key:
+   RMSE in the measure's units and R² = 1 − SSres/SStot about the
+   measured mean (NaN when the measurements don't vary). Only
+   measurements within the simulated time span count. */
+function fitStats(simulated, measured, key) {
+    const pairs = measured
+        .filter(p => p[key] !== null && p[key] !== undefined)
+        .map(p => [p[key], seriesAt(simulated, key, p.time)])
+        .filter(([, s]) => s !== null);
+    const n = pairs.length;
+    if (!n) return { n: 0, rmse: NaN, r2: NaN };
+    const mean = pairs.reduce((a, [o]) => a + o, 0) / n;
+    const ssRes = pairs.reduce((a, [o, s]) => a + (o - s) ** 2, 0);
+    const ssTot = pairs.reduce((a, [o]) => a + (o - mean) ** 2, 0);
+    return { n, rmse: Math.sqrt(ssRes / n), r2: ssTot > 0 ? 1 - ssRes / ssTot : NaN };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VARIETIES, VARIETY_FIELDS, LEAF_SHAPES, validateVariety, parseVarietyFile, varietyFile,
+        registerVariety, removeVariety, isBuiltinVariety,
+        GRAVITY_MAX, GRAVITY_PRESETS, CLINOSTAT_MODES,
+        LIGHT_SPECTRA, LIGHT_DIRECTIONS, lightsFromDir, normalizeLights, lightVector, lightsLabel,
+        STEP_MINUTES, SAMPLE_INTERVAL_MIN, MAX_STEPS,
+        createRng, randomSeed, parseSeed, gravResponse, gravityLabel,
+        clinostatPhase, gravityVector, gravityParts, meanGravityVector, PERCEPTION_LAG_MIN, gravityStimulus,
+        GROWTH_MODELS, AUXIN, STATOLITHS, statolithSignal, settleStatoliths, gravityForResponse, RESOURCES, photoLight,
+        SUBSTRATES, CHAMBERS, HYDROTROPISM, normalizeChamber, chamberLabel, chamberContact,
+        TIP_MOVEMENTS, NUTATION, ARCHITECTURE,
+        PHENOLOGY, PHENOLOGY_STAGES, INFLORESCENCES, stageLabel,
+        Segment, Plant, angleDiff, dirToRad, countBranches, mainAxis, measurePlant, plantGeometry,
+        serializePlant, restorePlant,
+        HISTORY_CHECKPOINT_STEPS, createHistory, recordHistory, historyConditions, replayHistory, plantAt,
+        PROTOCOL_ACTIONS, validateProtocol, parseProtocol, protocolStepLabel, protocolLabel, protocolText,
+        runSimulation, csvCell,
+        summarize, tTest, tCritical, tTwoSidedP,
+        MEASURED_FIELDS, MEASURED_ANGLES, TIME_UNITS, parseCsv, guessColumns, readMeasurements, seriesAt, fitStats,
+    };
+}
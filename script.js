@@ -1,96 +1,74 @@
 /* ============================================================
-   GROWING PLANTS IN SIMULATED MICROGRAVITY
-   
-   SEGMENT CHAIN MODEL — Curvature through incremental growth
-   Each new segment added at tip gets a small angle offset
-   Previous segments remain fixed — curvature accumulates
-   
-   VISUAL ENHANCEMENTS (New):
-   ===========================
-   1. LEAVES:
-      - Added at regular intervals (8-12 pixels) along stem
-      - Alternate sides for natural appearance
-      - Size varies (0.7-1.3x base) and scales with depth
-      - Natural droop angle (15-25°) for realism
-   
-   2. BRANCHES:
-      - Occasional branching (15% chance per frame when mature)
-      - Emerge at 25-45° angles from parent stem
-      - Grow at 70% speed of main stem
-      - Limited depth (max 5 levels) to prevent overpopulation
-   
-   3. VISUAL DETAILS:
-      - Gradual stem tapering (base → tip)
-      - Branches are thinner (70% width) than main stem
-      - Leaf central vein for detail
-      - Random variation in leaf angles and sizes
-      - Root hairs remain on primary roots only
-   
-   PERFORMANCE:
-   - Efficient recursive rendering
-   - Minimal overhead from leaf/branch tracking
-   - No heavy operations; maintains smooth animation
+   GROWING PLANTS IN SIMULATED MICROGRAVITY — PAGE CONTROLLER
+
+   Rendering, controls, data table/chart and the simulation
+   clock. The growth model itself (VARIETIES, Segment, Plant,
+   gravity and clinostat maths) lives in model.js, which is
+   loaded first and shares the global scope.
+
+   SIMULATION CLOCK:
+      - 1x / 5x / 20x / instant speed; data sampled on sim time
+      - Clinostat drum drawn turning at its real rpm
    ============================================================ */
 
 'use strict';
 
-const VARIETIES = {
-    cress: {
-        label: 'Cress',
-        stemWidth: 2.2, stemColor: '#4a7c3f',
-        maxStemLen: 240, growthRate: 0.055,
-        branchChance: 0.28, branchSpread: 0.60,
-        leafShape: 'oval', leafScale: 0.90, leafColor: '#5aad4e', leafSpacing: 20,
-        rootColor: '#8B6914', rootWidth: 1.6,
-        rootGrowthRate: 0.040, maxRootLen: 120,
-    },
-    bean: {
-        label: 'Bean',
-        stemWidth: 5.8, stemColor: '#3a6e2f',
-        maxStemLen: 300, growthRate: 0.030,
-        branchChance: 0.10, branchSpread: 0.72,
-        leafShape: 'broad', leafScale: 2.10, leafColor: '#4d9440', leafSpacing: 36,
-        rootColor: '#7a5510', rootWidth: 3.8,
-        rootGrowthRate: 0.025, maxRootLen: 160,
-    },
-    arabidopsis: {
-        label: 'Arabidopsis',
-        stemWidth: 1.7, stemColor: '#5c8a50',
-        maxStemLen: 190, growthRate: 0.048,
-        branchChance: 0.38, branchSpread: 0.95,
-        leafShape: 'lance', leafScale: 0.68, leafColor: '#68b85c', leafSpacing: 15,
-        rootColor: '#9e7e20', rootWidth: 1.1,
-        rootGrowthRate: 0.050, maxRootLen: 145,
-    },
-    wheat: {
-        label: 'Wheat',
-        stemWidth: 2.1, stemColor: '#7a9040',
-        maxStemLen: 280, growthRate: 0.042,
-        branchChance: 0.05, branchSpread: 0.18,
-        leafShape: 'narrow', leafScale: 1.15, leafColor: '#8db855', leafSpacing: 28,
-        rootColor: '#a08830', rootWidth: 1.5,
-        rootGrowthRate: 0.032, maxRootLen: 110,
-    }
-};
-
 const App = {
     theme: 'light',
     isRunning: false,
     isComplete: false,
-    startTime: null,
-    elapsedMs: 0,
+    simMinutes: 0,
+    speed: 1,
+    stepBudget: 0,
+    lastFrame: null,
+    nextSampleMin: 0,
     animId: null,
     gravity: 0,
-    lightDir: 'none',
+    lights: [],
+    lightHandles: [],
+    dragLight: null,
     variety: 'cress',
-    compareMode: false,
+    growthModel: 'angle',
+    statoliths: false,
+    resources: false,
+    chamber: { preset: 'open', obstacles: [], moisture: null },
+    chamberTool: 'none',
+    chamberView: null,
+    tipMovement: 'random',
+    showTrace: false,
+    tipTraces: new Map(),
+    stagesLogged: 1,  // Entries of App.plant.stageLog already logged (imbibition is the start)
+    varietyEdit: null,
+    previewPlant: null,
+    showAuxin: true,
+    seed: null,
+    clinostat: { mode: 'off', rpm: 0, inner: 0, outer: 0, sum: { x: 0, y: 0 }, samples: 0, lastMag: 0 },
+    compareMode: true,
+    control: {
+        gravity: 1, light: 'match', auto: true,
+        clinostat: { mode: 'off', rpm: 0, inner: 0, outer: 0, sum: { x: 0, y: 0 }, samples: 0, lastMag: 0 }
+    },
+    protocol: [],
+    protocolNext: 0,
+    protocolStart: null,
     plant: null,
     comparePlant: null,
-    dataPoints: [],
-    compareData: [],
+    history: null,  // Growth histories of both plants (see model.js), for the replay
+    compareHistory: null,
+    replay: { step: null, playing: false, speed: 6, pos: 0, lastFrame: null, plant: null, comparePlant: null, cond: null, compareCond: null, exporting: false },
+    measured: null,       // Imported measurements: { name, points, keys }
+    measuredDraft: null,  // A CSV being mapped in the import panel
+    trials: [],
+    nextTrialId: 1,
+    activeTrialId: null,
+    detailTrialId: null,
     camera: { scale: 1, targetScale: 1, panY: 0, targetPanY: 0 },
     zoom: { level: 1, targetLevel: 1 },
-    chartToggles: { stemLength: true, rootDepth: true }
+    chartToggles: { stemLength: true, rootDepth: true },
+    chartView: 'raw',
+    chartMetric: 'lengths',
+    statsPair: { a: null, b: null },
+    session: { db: null, timer: null, ready: false, failed: false }  // Autosave (see SESSIONS)
 };
 
 function hiDPI(canvas) {
@@ -109,243 +87,16 @@ function hiDPI(canvas) {
 }
 
 /* ============================================================
-   SEGMENT — Angle offset calculated ONCE at creation
-   Segments grow in length only. Angle never changes.
-   Chain of segments creates smooth cumulative curvature.
-   
-   VISUAL ENHANCEMENTS:
-   - Leaves added at regular intervals (alternating sides)
-   - Occasional branching at mature segments
-   - Gradual stem tapering based on position in chain
+   SIMULATION CLOCK
+   Growth advances in fixed steps of simulated time (see
+   STEP_MINUTES in model.js). 1x runs BASE_STEPS_PER_SECOND
+   steps per real second (the old speed of a 60 Hz display);
+   "instant" runs as many steps as fit in INSTANT_BUDGET_MS of
+   each frame.
    ============================================================ */
-class Segment {
-    constructor(parent, isRoot, variety, angleOffset = 0, isBranch = false) {
-        this.parent = parent;
-        this.isRoot = isRoot;
-        this.variety = variety;
-        this.angleOffset = angleOffset;  // FIXED after creation
-        this.isBranch = isBranch;  // Branches grow slower
-        
-        const v = VARIETIES[variety];
-        
-        // Short segments create smoother curves
-        this.targetLength = isRoot ? 10 : 12;
-        this.length = 0.1;
-        this.growing = true;
-        this.children = [];
-        
-        // Leaf system: track leaves with side info for alternating pattern
-        this.leaves = [];  // Array of {position, side, size}
-        this.nextLeafSide = Math.random() < 0.5 ? 1 : -1;  // Start random
-        
-        // Branching control
-        this.hasBranched = false;
-        
-        const depth = this.getDepth();
-        const gf = Math.pow(0.62, depth);
-        
-        // Gradual width tapering based on depth in chain
-        const baseFactor = isRoot ? v.rootWidth : v.stemWidth;
-        this.baseWidth = Math.max(baseFactor * gf, 0.5);
-        
-        // Additional width reduction for branches
-        if (isBranch) {
-            this.baseWidth *= 0.7;
-        }
-    }
-
-    get angle() {
-        if (!this.parent) {
-            return this.isRoot ? Math.PI / 2 : -Math.PI / 2;
-        }
-        return this.parent.angle + this.angleOffset;
-    }
-
-    get x() {
-        return this.parent ? this.parent.endX : 0;
-    }
-
-    get y() {
-        return this.parent ? this.parent.endY : 0;
-    }
-
-    get endX() {
-        return this.x + this.length * Math.cos(this.angle);
-    }
-
-    get endY() {
-        return this.y + this.length * Math.sin(this.angle);
-    }
-
-    getDepth() {
-        let depth = 0;
-        let p = this.parent;
-        while (p) { depth++; p = p.parent; }
-        return depth;
-    }
-
-    /* ----------------------------------------------------------
-       Grow in length. When target reached, create new tip segment.
-       Add leaves at intervals and occasionally create branches.
-    ---------------------------------------------------------- */
-    grow(gravity, lightDir, totalLength, maxLength) {
-        if (this.growing) {
-            const v = VARIETIES[this.variety];
-            const r = this.isRoot ? v.rootGrowthRate : v.growthRate;
-            
-            // Branches grow at 70% speed of main stem
-            const growthMultiplier = this.isBranch ? 0.7 : 1.0;
-            
-            // Grow length
-            this.length += r * 2.5 * growthMultiplier;
-            
-            // Add leaves at intervals (shoots only, not roots or branches)
-            if (!this.isRoot && !this.isBranch && this.length > 3) {
-                const leafInterval = 8 + Math.random() * 4;  // 8-12 pixel spacing
-                const lastLeafPos = this.leaves.length > 0 
-                    ? this.leaves[this.leaves.length - 1].position 
-                    : 0;
-                
-                if (this.length - lastLeafPos > leafInterval) {
-                    // Add alternating leaf
-                    const side = this.nextLeafSide;
-                    const size = 0.7 + Math.random() * 0.6;  // Variation 0.7-1.3
-                    this.leaves.push({
-                        position: this.length,
-                        side: side,
-                        size: size
-                    });
-                    this.nextLeafSide *= -1;  // Alternate for next leaf
-                }
-            }
-            
-            // Occasional branching (shoots only, when mature enough)
-            if (!this.isRoot && !this.isBranch && !this.hasBranched && 
-                this.length > this.targetLength * 0.6 && 
-                this.getDepth() < 5 &&  // Don't branch too deep
-                Math.random() < 0.15) {  // 15% chance per frame
-                
-                this._createBranch(gravity, lightDir);
-                this.hasBranched = true;
-            }
-            
-            // When full, create new segment at tip
-            if (this.length >= this.targetLength && this.children.length === 0) {
-                if (totalLength < maxLength) {
-                    this.growing = false;
-                    this._addTipSegment(gravity, lightDir);
-                } else {
-                    this.growing = false;
-                }
-            }
-        }
-        
-        for (const c of this.children) {
-            c.grow(gravity, lightDir, totalLength, maxLength);
-        }
-    }
-
-    /* ----------------------------------------------------------
-       Create new tip segment with calculated angle offset.
-       This is where curvature happens — ONCE, at creation.
-    ---------------------------------------------------------- */
-    _addTipSegment(gravity, lightDir) {
-        const currentAngle = this.angle;
-        let offset = 0;
-        
-        // GRAVITROPISM — very strong for roots
-        if (gravity > 0) {
-            const target = this.isRoot ? Math.PI / 2 : -Math.PI / 2;
-            const diff = angleDiff(target, currentAngle);
-            offset += diff * (this.isRoot ? 0.06 : 0.028);
-        }
-        
-        // PHOTOTROPISM — toward light
-        if (lightDir !== 'none') {
-            const lightAngle = dirToRad(lightDir);
-            const target = this.isRoot ? lightAngle + Math.PI : lightAngle;
-            const diff = angleDiff(target, currentAngle);
-            offset += diff * (this.isRoot 
-                ? (gravity === 0 ? 0.020 : 0.010)
-                : (gravity === 0 ? 0.042 : 0.025));
-        }
-        
-        // RANDOM VARIATION — key for zero-g curves
-        offset += (Math.random() - 0.5) * (gravity === 0
-            ? (this.isRoot ? 0.022 : 0.038)
-            : (this.isRoot ? 0.008 : 0.018));
-        
-        this.children.push(new Segment(this, this.isRoot, this.variety, offset, this.isBranch));
-    }
-
-    /* ----------------------------------------------------------
-       Create a branch segment at current position.
-       Branch grows at reduced rate and different angle.
-    ---------------------------------------------------------- */
-    _createBranch(gravity, lightDir) {
-        const v = VARIETIES[this.variety];
-        
-        // Branch angle: 25-45 degrees from parent
-        const branchSide = Math.random() < 0.5 ? 1 : -1;
-        const branchAngle = branchSide * (0.4 + Math.random() * 0.35);  // 0.4-0.75 radians (23-43°)
-        
-        // Create branch segment (marked as branch for slower growth)
-        const branch = new Segment(this, false, this.variety, branchAngle, true);
-        this.children.push(branch);
-    }
-
-    totalLength() {
-        return this.length + this.children.reduce((s, c) => s + c.totalLength(), 0);
-    }
-
-    isFullyGrown() {
-        if (this.growing) return false;
-        return this.children.every(c => c.isFullyGrown());
-    }
-}
-
-class Plant {
-    constructor(variety, gravity, lightDir) {
-        this.variety = variety;
-        this.age = 0;
-        
-        const v = VARIETIES[variety];
-        this.maxShootLength = v.maxStemLen;
-        this.maxRootLength = v.maxRootLen;
-        
-        const jitter = (Math.random() - 0.5) * 0.08;
-        this.shoot = new Segment(null, false, variety, jitter);
-        this.root = new Segment(null, true, variety, jitter);
-    }
-
-    update(gravity, lightDir) {
-        this.age++;
-        if (this.age < 8) return;
-        
-        const shootLen = this.shoot.totalLength();
-        const rootLen = this.root.totalLength();
-        
-        this.shoot.grow(gravity, lightDir, shootLen, this.maxShootLength);
-        this.root.grow(gravity, lightDir, rootLen, this.maxRootLength);
-    }
-
-    bounds() {
-        const pts = [];
-        collectPts(this.shoot, pts);
-        collectPts(this.root, pts);
-        if (!pts.length) return { minX: -20, maxX: 20, minY: -20, maxY: 20 };
-        return {
-            minX: Math.min(...pts.map(p => p.x)),
-            maxX: Math.max(...pts.map(p => p.x)),
-            minY: Math.min(...pts.map(p => p.y)),
-            maxY: Math.max(...pts.map(p => p.y)),
-        };
-    }
-
-    isFullyGrown() {
-        return this.shoot.isFullyGrown() && this.root.isFullyGrown();
-    }
-}
+const BASE_STEPS_PER_SECOND = 60;
+const INSTANT_BUDGET_MS = 30;
+const SPEEDS = { 1: '1x', 5: '5x', 20: '20x', instant: 'Instant' };
 
 /* ============================================================
    STAR FIELD
@@ -477,13 +228,111 @@ function initZoom() {
     canvas.addEventListener('touchend', () => { touches = []; });
 }
 
+/* Drag a sun in the experiment panel to move that light around
+   the chamber. A drag during a run is logged once, on release. */
+function initLightDrag() {
+    const canvas = el('clinostatCanvas');
+    if (!canvas) return;
+    const local = e => {
+        const r = canvas.getBoundingClientRect();
+        return { x: e.clientX - r.left, y: e.clientY - r.top };
+    };
+    const hit = p => App.lightHandles.find(hd => Math.hypot(hd.x - p.x, hd.y - p.y) < 22);
+
+    canvas.addEventListener('pointerdown', e => {
+        const handle = hit(local(e));
+        if (!handle) return;
+        App.dragLight = { ...handle, moved: false };
+        canvas.setPointerCapture?.(e.pointerId);
+        e.preventDefault();
+    });
+    canvas.addEventListener('pointermove', e => {
+        const p = local(e);
+        if (!App.dragLight) {
+            canvas.style.cursor = hit(p) ? 'grab' : '';
+            return;
+        }
+        const d = App.dragLight;
+        App.lights[d.index].angle = lightAngleAt(p.x, p.y, d.W, d.H);
+        d.moved = true;
+        canvas.style.cursor = 'grabbing';
+        renderLightList();
+        renderCanvas();
+    });
+    const end = () => {
+        if (App.dragLight?.moved) lightsChanged();
+        App.dragLight = null;
+        canvas.style.cursor = '';
+    };
+    canvas.addEventListener('pointerup', end);
+    canvas.addEventListener('pointercancel', end);
+}
+
 function renderCanvas() {
     const canvas = el('clinostatCanvas');
     if (!canvas) return;
     const { ctx, W, H } = hiDPI(canvas);
+    drawScene(ctx, W, H);
+}
+
+/* Both panels into any 2D context (the page canvas, or an export).
+   camera: 'ease' moves toward fitting the plants a little each
+   frame, 'settle' fits them at once, 'fixed' keeps the current view. */
+function drawScene(ctx, W, H, camera = 'ease') {
     const isDark = App.theme === 'dark';
 
     ctx.clearRect(0, 0, W, H);
+
+    // Side-by-side when a control plant is (or will be) grown
+    const split = App.compareMode;
+    const r = App.replay.plant ? App.replay : null;
+    const panels = split
+        ? [{ x: 0, w: W / 2, plant: r ? r.plant : App.plant, cond: r ? r.cond : experimentConditions(), label: 'Experiment' },
+           { x: W / 2, w: W / 2, plant: r ? r.comparePlant : App.comparePlant, cond: r?.compareCond || controlConditions(), label: 'Control' }]
+        : [{ x: 0, w: W, plant: r ? r.plant : App.plant, cond: r ? r.cond : experimentConditions(), label: null }];
+    if (!App.plant && App.previewPlant) panels[0].plant = App.previewPlant;
+
+    // One camera for both panels so the plants are drawn to the
+    // same scale and can be compared by eye
+    const pts = panels.filter(p => p.plant).map(p => p.plant.bounds());
+    const room = chamberBounds();
+    if (room) pts.push(room);
+    if (pts.length && camera !== 'fixed') {
+        const b = {
+            minX: Math.min(...pts.map(q => q.minX)), maxX: Math.max(...pts.map(q => q.maxX)),
+            minY: Math.min(...pts.map(q => q.minY)), maxY: Math.max(...pts.map(q => q.maxY)),
+        };
+        const bW = b.maxX - b.minX + 80, bH = b.maxY - b.minY + 80;
+        App.camera.targetScale = Math.min((panels[0].w - 80) / bW, (H - 80) / bH, 1.0);
+        App.camera.targetPanY = (b.minY + b.maxY) / 2;
+    }
+    const ease = { ease: [0.035, 0.08], settle: [1, 1], fixed: [0, 0] }[camera];
+    App.camera.scale += (App.camera.targetScale - App.camera.scale) * ease[0];
+    App.camera.panY += (App.camera.targetPanY - App.camera.panY) * ease[0];
+    App.zoom.level += (App.zoom.targetLevel - App.zoom.level) * ease[1];
+
+    for (const p of panels) {
+        ctx.save();
+        ctx.translate(p.x, 0);
+        ctx.beginPath(); ctx.rect(0, 0, p.w, H); ctx.clip();
+        drawPanel(ctx, p, p.w, H, isDark);
+        ctx.restore();
+    }
+
+    if (split) {
+        ctx.strokeStyle = isDark ? 'rgba(148,163,184,0.5)' : 'rgba(71,85,105,0.4)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.moveTo(W / 2, 0); ctx.lineTo(W / 2, H); ctx.stroke();
+    }
+}
+
+/* ----------------------------------------------------------
+   One growth chamber: background, stimuli, plant and labels.
+   W is the panel width; the context is already translated.
+---------------------------------------------------------- */
+function drawPanel(ctx, panel, W, H, isDark) {
+    const { plant, cond, label } = panel;
+
     ctx.fillStyle = isDark ? '#0f172a' : '#eef2f7';
     ctx.fillRect(0, 0, W, H);
 
@@ -492,51 +341,250 @@ function renderCanvas() {
     for (let gx = 0; gx < W; gx += 40) { ctx.beginPath(); ctx.moveTo(gx, 0); ctx.lineTo(gx, H); ctx.stroke(); }
     for (let gy = 0; gy < H; gy += 40) { ctx.beginPath(); ctx.moveTo(0, gy); ctx.lineTo(W, gy); ctx.stroke(); }
 
-    if (App.lightDir !== 'none') drawLightOverlay(ctx, W, H, App.lightDir);
-    if (App.gravity > 0) {
-        drawGravityArrow(ctx, W, H, App.gravity, isDark);
+    drawLightOverlay(ctx, W, H, cond.lights, panel.x === 0);
+    if (cond.gravity > 0) {
+        drawGravityArrow(ctx, W, H, cond.gravity, isDark);
     } else {
         ctx.fillStyle = isDark ? 'rgba(255,255,255,0.28)' : 'rgba(0,0,0,0.22)';
         ctx.font = '12px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
         ctx.fillText('Microgravity active', 12, H - 10);
     }
 
-    const cx = W / 2, cy = H * 0.57;
-
-    if (App.plant) {
-        const b = App.plant.bounds();
-        const bW = b.maxX - b.minX + 80, bH = b.maxY - b.minY + 80;
-        App.camera.targetScale = Math.min((W - 80) / bW, (H - 80) / bH, 1.0);
-        App.camera.targetPanY = (b.minY + b.maxY) / 2;
-    }
-    App.camera.scale += (App.camera.targetScale - App.camera.scale) * 0.035;
-    App.camera.panY += (App.camera.targetPanY - App.camera.panY) * 0.035;
-    App.zoom.level += (App.zoom.targetLevel - App.zoom.level) * 0.08;
+    const clino = cond.clinostat;
+    const rotating = clino.mode !== 'off';
+    const cx = W / 2, cy = rotating ? H / 2 : H * 0.57;
+    if (rotating) drawClinostatChamber(ctx, W, H, cx, cy, cond, label ? 30 : 12, isDark);
 
     ctx.save();
     ctx.translate(cx, cy);
+    if (rotating) ctx.rotate(clino.inner);
     ctx.scale(App.camera.scale * App.zoom.level, App.camera.scale * App.zoom.level);
     ctx.translate(0, -App.camera.panY);
+    if (plant) ctx.rotate(plant.orientation);
+    if (panel.x === 0) {
+        App.chamberView = { cx, cy, inner: rotating ? clino.inner : 0, orientation: plant ? plant.orientation : 0,
+                            scale: App.camera.scale * App.zoom.level, panY: App.camera.panY };
+    }
 
-    if (App.plant) {
-        drawSegment(ctx, App.plant.root);
-        drawSegment(ctx, App.plant.shoot);
+    drawChamber(ctx, plant ? plant.chamber : normalizeChamber(App.chamber), isDark);
+    const trace = plant && App.showTrace ? App.tipTraces.get(plant) : null;
+    if (trace) drawTipTrace(ctx, trace);
+
+    const look = plant ? plantLook(plant) : null;
+    if (plant) {
+        drawSegment(ctx, plant.root, look);
+        drawSegment(ctx, plant.shoot, look);
+        drawCotyledons(ctx, plant, look);
     }
 
+    // The seed swells as it takes up water
+    const swell = plant ? 1 + 0.25 * Math.min(plant.hours / Math.max(VARIETIES[plant.variety].germinationAt, 1), 1) : 1;
     ctx.fillStyle = '#c09050'; ctx.strokeStyle = '#7a5010'; ctx.lineWidth = 1.5;
-    ctx.beginPath(); ctx.ellipse(0, 0, 10, 7, 0.4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+    ctx.beginPath(); ctx.ellipse(0, 0, 10 * swell, 7 * swell, 0.4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
 
     ctx.restore();
 
+    if (plant?.statoliths) drawStatocytes(ctx, plant, clino, H, isDark);
+    if (trace) drawSwayStrip(ctx, trace, 12, label ? 30 : 12, Math.min(160, W - 24), 50, isDark);
+
     ctx.fillStyle = isDark ? 'rgba(255,255,255,0.38)' : 'rgba(0,0,0,0.28)';
     ctx.font = '12px system-ui'; ctx.textAlign = 'right'; ctx.textBaseline = 'bottom';
     ctx.fillText(VARIETIES[App.variety].label, W - 12, H - 10);
+
+    if (label) {
+        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
+        ctx.font = 'bold 12px system-ui'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(label + ' — ' + gravityLabel(cond.gravity), W / 2, 10);
+    }
+}
+
+/* ============================================================
+   GROWTH CHAMBER — Container, substrate, obstacles, moisture
+   Drawn in plant coordinates (see CHAMBERS in model.js), so the
+   container turns with the plant. Obstacles and the moisture
+   source are placed by clicking the experiment panel before a
+   run; both plants share the chamber.
+   ============================================================ */
+const SUBSTRATE_COLORS = { agar: 'rgba(186, 200, 214, 0.35)', soil: 'rgba(133, 94, 50, 0.35)' };
+const OBSTACLE_RADIUS = 12;
+
+function drawChamber(ctx, ch, isDark) {
+    if (!ch) return;
+    const w = ch.walls;
+    if (w && ch.substrate !== 'none') {
+        const top = Math.max(ch.surface, w.top);
+        ctx.fillStyle = SUBSTRATE_COLORS[ch.substrate];
+        ctx.fillRect(w.left, top, w.right - w.left, w.bottom - top);
+    }
+    if (w) {
+        ctx.strokeStyle = isDark ? 'rgba(203,213,225,0.75)' : 'rgba(71,85,105,0.75)';
+        ctx.lineWidth = 2; ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(w.left, w.top); ctx.lineTo(w.left, w.bottom);
+        ctx.lineTo(w.right, w.bottom); ctx.lineTo(w.right, w.top);
+        if (w.lid) ctx.closePath();
+        ctx.stroke();
+    }
+    for (const o of ch.obstacles) {
+        ctx.fillStyle = isDark ? '#64748b' : '#94a3b8';
+        ctx.strokeStyle = isDark ? '#94a3b8' : '#475569'; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.arc(o.x, o.y, o.r, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+    }
+    if (ch.moisture) {
+        const { x, y } = ch.moisture;
+        const grad = ctx.createRadialGradient(x, y, 0, x, y, HYDROTROPISM.range / 2);
+        grad.addColorStop(0, 'rgba(59,130,246,0.35)');
+        grad.addColorStop(1, 'rgba(59,130,246,0)');
+        ctx.fillStyle = grad;
+        ctx.beginPath(); ctx.arc(x, y, HYDROTROPISM.range / 2, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = '#2563eb';
+        ctx.beginPath(); ctx.arc(x, y + 2, 4, 0, Math.PI * 2); ctx.fill();
+        ctx.beginPath(); ctx.moveTo(x - 3.5, y + 0.5); ctx.lineTo(x, y - 6); ctx.lineTo(x + 3.5, y + 0.5); ctx.fill();
+    }
+}
+
+// The container's extent in the lab frame, for the camera
+function chamberBounds() {
+    const ch = App.plant ? App.plant.chamber : normalizeChamber(App.chamber);
+    if (!ch?.walls) return null;
+    const w = ch.walls, rot = App.plant ? App.plant.orientation : 0;
+    const corners = [[w.left, w.top], [w.right, w.top], [w.left, w.bottom], [w.right, w.bottom]]
+        .map(([x, y]) => rotateVec({ x, y }, rot));
+    return {
+        minX: Math.min(...corners.map(c => c.x)), maxX: Math.max(...corners.map(c => c.x)),
+        minY: Math.min(...corners.map(c => c.y)), maxY: Math.max(...corners.map(c => c.y)),
+    };
+}
+
+// Canvas point in the experiment panel → chamber coordinates (mm)
+function chamberPoint(x, y) {
+    const v = App.chamberView;
+    const q = rotateVec({ x: x - v.cx, y: y - v.cy }, -v.inner);
+    const p = rotateVec({ x: q.x / v.scale, y: q.y / v.scale + v.panY }, -v.orientation);
+    return { x: Math.round(p.x), y: Math.round(p.y) };
+}
+
+/* Click the experiment panel to add or remove an obstacle, or to
+   move the moisture source. Only between runs: the chamber is
+   fixed once plants are growing. */
+function initChamberTools() {
+    const canvas = el('clinostatCanvas');
+    if (!canvas) return;
+    canvas.addEventListener('pointerdown', e => {
+        if (App.chamberTool === 'none' || App.dragLight || App.plant || !App.chamberView) return;
+        const r = canvas.getBoundingClientRect();
+        const p = chamberPoint(e.clientX - r.left, e.clientY - r.top);
+        if (App.chamberTool === 'moisture') {
+            App.chamber.moisture = p;
+        } else {
+            const i = App.chamber.obstacles.findIndex(o => Math.hypot(o.x - p.x, o.y - p.y) < o.r);
+            if (i >= 0) App.chamber.obstacles.splice(i, 1);
+            else if (Math.hypot(p.x, p.y) < OBSTACLE_RADIUS + 10) { alert('Too close to the seed for an obstacle.'); return; }
+            else App.chamber.obstacles.push({ x: p.x, y: p.y, r: OBSTACLE_RADIUS });
+        }
+        renderChamberInfo();
+        renderCanvas();
+    });
+}
+
+function renderChamberInfo() {
+    setVal('chamberInfo', chamberLabel(normalizeChamber(App.chamber)).replace(/^open$/, 'Open (no container)'));
+    el('clinostatCanvas')?.classList.toggle('placing', App.chamberTool !== 'none' && !App.plant);
+}
+
+function setChamberDisabled(disabled) {
+    ['chamberPreset', 'chamberTool', 'clearChamber'].forEach(id => { el(id).disabled = disabled; });
+    renderChamberInfo();
+}
+
+/* ============================================================
+   TIP TRACE — Where the tips have been
+   Every step records the main shoot and root tip positions
+   (plant frame) and the shoot tip's lab angle. The path is drawn
+   behind the plant, with a strip chart of the last few hours of
+   shoot tip sway: circumnutation shows as a regular wave, the
+   random walk as drift.
+   ============================================================ */
+const TRACE_MAX = 5000;
+const TRACE_STRIP_HOURS = 12;
+
+function recordTrace(plant) {
+    let tr = App.tipTraces.get(plant);
+    if (!tr) { tr = { shoot: [], root: [] }; App.tipTraces.set(plant, tr); }
+    const s = mainAxis(plant.shoot).at(-1), r = mainAxis(plant.root).at(-1);
+    tr.shoot.push({ x: s.endX, y: s.endY, time: App.simMinutes / 60,
+                    angle: toDeg(angleDiff(s.angle + plant.orientation, -Math.PI / 2)) });
+    tr.root.push({ x: r.endX, y: r.endY });
+    for (const pts of [tr.shoot, tr.root]) {
+        if (pts.length > TRACE_MAX) pts.splice(0, pts.length - TRACE_MAX);
+    }
+}
+
+function drawTipTrace(ctx, tr) {
+    for (const [pts, col] of [[tr.shoot, 'rgba(220,38,38,0.55)'], [tr.root, 'rgba(180,83,9,0.55)']]) {
+        if (pts.length < 2) continue;
+        ctx.strokeStyle = col; ctx.lineWidth = 0.8; ctx.lineJoin = 'round';
+        ctx.beginPath();
+        pts.forEach((p, i) => { i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y); });
+        ctx.stroke();
+    }
+}
+
+// Shoot tip angle over the last TRACE_STRIP_HOURS, about its mean
+function drawSwayStrip(ctx, tr, x, y, w, h, isDark) {
+    const now = tr.shoot.length ? tr.shoot[tr.shoot.length - 1].time : 0;
+    const pts = tr.shoot.filter(p => p.time >= now - TRACE_STRIP_HOURS);
+    ctx.fillStyle = isDark ? 'rgba(30,41,59,0.85)' : 'rgba(255,255,255,0.85)';
+    ctx.strokeStyle = isDark ? '#475569' : '#cbd5e1'; ctx.lineWidth = 1;
+    ctx.fillRect(x, y, w, h); ctx.strokeRect(x, y, w, h);
+    ctx.fillStyle = isDark ? '#cbd5e1' : '#475569';
+    ctx.font = '10px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+    ctx.fillText('Tip sway, last ' + TRACE_STRIP_HOURS + ' h', x + 4, y + 3);
+    if (pts.length < 2) return;
+
+    const mean = pts.reduce((s, p) => s + p.angle, 0) / pts.length;
+    const span = Math.max(5, ...pts.map(p => Math.abs(p.angle - mean)));
+    const mid = y + h / 2 + 6, half = h / 2 - 9;
+    ctx.textAlign = 'right';
+    ctx.fillText('±' + span.toFixed(1) + '°', x + w - 4, y + 3);
+    ctx.strokeStyle = '#dc2626'; ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    pts.forEach((p, i) => {
+        const px = x + w - (now - p.time) / TRACE_STRIP_HOURS * w;
+        const py = mid - (p.angle - mean) / span * half;
+        i ? ctx.lineTo(px, py) : ctx.moveTo(px, py);
+    });
+    ctx.stroke();
 }
 
-function drawSegment(ctx, seg) {
+// Blue (low) → red (high) around the baseline concentration of 1
+function auxinColor(a) {
+    const t = Math.max(0, Math.min(1, (a - 0.5) / 1.5));
+    return 'hsl(' + Math.round(240 - 240 * t) + ', 90%, 50%)';
+}
+
+/* Auxin heatmap: a thin line along each flank, coloured by that
+   flank's concentration. Right flank = growth direction turned
+   90° clockwise, as in Plant._auxinStep. */
+function drawAuxinFlanks(ctx, seg) {
+    const nx = -Math.sin(seg.angle), ny = Math.cos(seg.angle);
+    const off = seg.baseWidth / 2 + 0.9;
+    ctx.lineWidth = 1.4;
+    ctx.lineCap = 'butt';
+    for (const [side, sgn] of [['right', 1], ['left', -1]]) {
+        ctx.strokeStyle = auxinColor(seg.auxin[side]);
+        ctx.beginPath();
+        ctx.moveTo(seg.x + nx * off * sgn, seg.y + ny * off * sgn);
+        ctx.lineTo(seg.endX + nx * off * sgn, seg.endY + ny * off * sgn);
+        ctx.stroke();
+    }
+}
+
+function drawSegment(ctx, seg, look = null) {
     if (seg.length < 1) return;
     const v = VARIETIES[seg.variety];
-    const col = seg.isRoot ? v.rootColor : v.stemColor;
+    const sen = look ? look.senescence : 0;
+    const col = seg.isRoot ? v.rootColor : mixColor(v.stemColor, SENESCENT_STEM, sen * 0.7);
     
     // Gradual tapering: thicker at base, thinner at tip
     const endW = Math.max(seg.baseWidth * 0.4, 0.5);
@@ -563,6 +611,8 @@ function drawSegment(ctx, seg) {
         ctx.stroke();
     }
 
+    if (App.showAuxin && seg.auxin) drawAuxinFlanks(ctx, seg);
+
     // Render leaves along the stem (shoots only)
     if (!seg.isRoot && seg.leaves.length > 0) {
         seg.leaves.forEach((leaf, idx) => {
@@ -576,41 +626,50 @@ function drawSegment(ctx, seg) {
             const depthFactor = Math.max(1.0 - seg.getDepth() * 0.15, 0.4);
             const leafSize = leaf.size * depthFactor;
             
-            drawLeaf(ctx, lx, ly, seg.angle * 180 / Math.PI, leaf.side, v, leafSize);
+            drawLeaf(ctx, lx, ly, seg.angle * 180 / Math.PI, leaf, v, leafSize, leafColor(v, sen, seg.getDepth()));
         });
     }
 
-    // Root hairs (fine details for roots)
-    if (seg.isRoot && !seg.isBranch) {
+    // Root hairs on the mature zone behind the tip (primary and
+    // first-order roots), one pair per segment; shorter on laterals
+    if (seg.isRoot && !seg.growing && seg.order < 2) {
+        const hairLen = seg.order ? 3.5 : 6;
+        const hx = (seg.x + seg.endX) / 2, hy = (seg.y + seg.endY) / 2;
         ctx.strokeStyle = v.rootColor + '70'; 
         ctx.lineWidth = 0.6;
-        for (let d = 12; d < seg.length; d += 13) {
-            const t = d / seg.length;
-            const hx = seg.x + (seg.endX - seg.x) * t;
-            const hy = seg.y + (seg.endY - seg.y) * t;
-            for (const s of [1, -1]) {
-                const ha = seg.angle + s * (Math.PI / 2 + (Math.random() - 0.5) * 0.3);
-                ctx.beginPath(); 
-                ctx.moveTo(hx, hy);
-                ctx.lineTo(hx + Math.cos(ha) * 6, hy + Math.sin(ha) * 6); 
-                ctx.stroke();
-            }
+        for (const [i, s] of [1, -1].entries()) {
+            const ha = seg.angle + s * (Math.PI / 2 + seg.hairJitter[i]);
+            ctx.beginPath(); 
+            ctx.moveTo(hx, hy);
+            ctx.lineTo(hx + Math.cos(ha) * hairLen, hy + Math.sin(ha) * hairLen); 
+            ctx.stroke();
         }
     }
 
+    // Root cap: a translucent sheath over each growing root tip
+    if (seg.isRoot && seg.growing) {
+        ctx.fillStyle = v.rootColor + '55';
+        ctx.beginPath();
+        ctx.ellipse(seg.endX, seg.endY, endW * 1.6 + 0.8, endW + 0.6, seg.angle, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    // Flowers or an ear on every shoot tip once the plant flowers
+    if (look && look.flowering > 0 && !seg.isRoot && !seg.hasTip) drawInflorescence(ctx, seg, v, look);
+
     // Recursively draw all child segments (continuation and branches)
-    for (const c of seg.children) drawSegment(ctx, c);
+    for (const c of seg.children) drawSegment(ctx, c, look);
 }
 
 /* ----------------------------------------------------------
    Draw a single leaf with natural variation.
-   Leaves alternate sides and have subtle angle/size variation.
+   Leaves alternate sides; spread/droop were chosen at creation.
 ---------------------------------------------------------- */
-function drawLeaf(ctx, x, y, stemAngleDeg, side, v, sizeMultiplier = 1.0) {
-    // Base leaf angle: perpendicular to stem + slight droop + random variation
-    const baseAngle = stemAngleDeg + side * (85 + Math.random() * 10);  // 85-95° from stem
-    const droop = 15 + Math.random() * 10;  // 15-25° droop for natural look
-    const leafAngle = (baseAngle + droop * side) * Math.PI / 180;
+function drawLeaf(ctx, x, y, stemAngleDeg, leaf, v, sizeMultiplier = 1.0, color = v.leafColor) {
+    // Base leaf angle: perpendicular to stem + slight droop
+    const side = leaf.side;
+    const baseAngle = stemAngleDeg + side * leaf.spread;
+    const leafAngle = (baseAngle + leaf.droop * side) * Math.PI / 180;
     
     // Leaf dimensions based on variety and size multiplier
     const ls = v.leafScale * sizeMultiplier;
@@ -640,7 +699,7 @@ function drawLeaf(ctx, x, y, stemAngleDeg, side, v, sizeMultiplier = 1.0) {
     ctx.rotate(leafAngle);
     
     // Leaf fill
-    ctx.fillStyle = v.leafColor;
+    ctx.fillStyle = color;
     ctx.beginPath();
     ctx.ellipse(0, 0, length * 0.5, width * 0.5, 0, 0, Math.PI * 2);
     ctx.fill();
@@ -661,52 +720,248 @@ function drawLeaf(ctx, x, y, stemAngleDeg, side, v, sizeMultiplier = 1.0) {
     ctx.restore();
 }
 
-function drawLightOverlay(ctx, W, H, dir) {
-    const pos = {
-        top: { x: W / 2, y: 28, nx: 0, ny: 1 },
-        bottom: { x: W / 2, y: H - 28, nx: 0, ny: -1 },
-        left: { x: 28, y: H / 2, nx: 1, ny: 0 },
-        right: { x: W - 28, y: H / 2, nx: -1, ny: 0 },
-    }[dir];
-    if (!pos) return;
+/* ============================================================
+   PHENOLOGY — Stage-dependent drawing (see PHENOLOGY in model.js)
+   Cotyledons unfold at the shoot apex and stay on that node once
+   true leaves start (grasses show a coleoptile instead); flowers,
+   a bolting raceme or an ear top every shoot tip once the plant
+   flowers; in senescence stems fade and leaves turn yellow, then
+   brown, oldest (lowest) first.
+   ============================================================ */
+const SENESCENT_STEM = '#b59a5a';
+const SENESCENT_LEAF = ['#d9c040', '#9c7a45'];  // Yellow, then brown
+const FLOWER_COLORS = { petal: '#f8fafc', centre: '#facc15', bud: '#86a84a', ear: '#9bbf4a', ripeEar: '#d9b84a' };
+
+function plantLook(plant) {
+    return { senescence: plant.senescence(), flowering: plant.flowering(),
+             inflorescence: VARIETIES[plant.variety].inflorescence };
+}
+
+// Blend two #rrggbb colours, t = 0 → a, 1 → b
+function mixColor(a, b, t) {
+    if (t <= 0) return a;
+    const ch = (hex, i) => parseInt(hex.slice(1 + 2 * i, 3 + 2 * i), 16);
+    return 'rgb(' + [0, 1, 2].map(i => Math.round(ch(a, i) + (ch(b, i) - ch(a, i)) * Math.min(t, 1))).join(',') + ')';
+}
+
+// Leaves low on the plant yellow first and go brown by the end
+function leafColor(v, senescence, depth) {
+    const t = Math.max(0, Math.min(1, senescence * 1.6 - depth * 0.02));
+    return t < 0.5 ? mixColor(v.leafColor, SENESCENT_LEAF[0], t * 2)
+                   : mixColor(SENESCENT_LEAF[0], SENESCENT_LEAF[1], (t - 0.5) * 2);
+}
+
+function drawCotyledons(ctx, plant, look) {
+    const seg = plant.cotyledonSegment();
+    if (!seg) return;
+    const v = VARIETIES[plant.variety];
+    const open = plant.cotyledonsOpen();
+    const x = seg.endX, y = seg.endY, a = seg.angle;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(a);
+    if (look.inflorescence === 'ear') {
+        // Grasses: a pale coleoptile sheathing the first leaf, withering later
+        if (plant.stage !== 'cotyledons') { ctx.restore(); return; }
+        ctx.fillStyle = mixColor('#d6e6a8', SENESCENT_LEAF[1], open * 0.3);
+        ctx.beginPath(); ctx.ellipse(-3, 0, 6, 1.8, 0, 0, Math.PI * 2); ctx.fill();
+    } else {
+        // Two seed leaves, folded along the stem until they unfold
+        const size = 4 + 2 * Math.sqrt(v.leafScale);
+        ctx.fillStyle = open < 1 ? mixColor(v.leafColor, '#c8d890', 1 - open)
+                                 : leafColor(v, Math.min(look.senescence * 1.5, 1), 0);
+        for (const side of [1, -1]) {
+            const spread = side * (0.15 + open * 1.25);
+            ctx.save();
+            ctx.rotate(spread);
+            ctx.beginPath(); ctx.ellipse(size * 0.5, 0, size * 0.5, size * 0.32, 0, 0, Math.PI * 2); ctx.fill();
+            ctx.restore();
+        }
+    }
+    ctx.restore();
+}
+
+// At a shoot tip: a flower, a small raceme (bolting) or an ear (heading)
+function drawInflorescence(ctx, seg, v, look) {
+    const f = look.flowering, fade = 1 - look.senescence;
+    ctx.save();
+    ctx.translate(seg.endX, seg.endY);
+    ctx.rotate(seg.angle);
+    if (look.inflorescence === 'ear') {
+        const len = 3 + 11 * f;
+        ctx.fillStyle = mixColor(FLOWER_COLORS.ear, FLOWER_COLORS.ripeEar, look.senescence);
+        ctx.beginPath(); ctx.ellipse(len / 2, 0, len / 2, 1.8, 0, 0, Math.PI * 2); ctx.fill();
+        ctx.strokeStyle = FLOWER_COLORS.ripeEar; ctx.lineWidth = 0.4;
+        for (let d = 2; d < len; d += 3) {
+            for (const side of [1, -1]) {
+                ctx.beginPath(); ctx.moveTo(d, side * 1.5); ctx.lineTo(d + 4, side * 3.5); ctx.stroke();
+            }
+        }
+    } else {
+        const heads = look.inflorescence === 'bolt' ? [[0, 0], [-3, 2.5], [-6, -2.5]] : [[0, 0]];
+        const r = (look.inflorescence === 'bolt' ? 1.6 : 2.6) * (0.4 + 0.6 * f);
+        for (const [dx, dy] of heads) {
+            if (f < 0.3) {
+                ctx.fillStyle = FLOWER_COLORS.bud;
+                ctx.beginPath(); ctx.arc(dx + r * 0.6, dy, r * 0.6, 0, Math.PI * 2); ctx.fill();
+                continue;
+            }
+            // Petals drop as the plant senesces
+            ctx.globalAlpha = fade;
+            ctx.fillStyle = FLOWER_COLORS.petal;
+            for (let i = 0; i < 4; i++) {
+                const pa = i * Math.PI / 2 + Math.PI / 4;
+                ctx.beginPath(); ctx.arc(dx + r + Math.cos(pa) * r * 0.7, dy + Math.sin(pa) * r * 0.7, r * 0.55, 0, Math.PI * 2); ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = FLOWER_COLORS.centre;
+            ctx.beginPath(); ctx.arc(dx + r, dy, r * 0.35, 0, Math.PI * 2); ctx.fill();
+        }
+    }
+    ctx.restore();
+}
+
+/* Where a source sits on the chamber wall: an ellipse inset from
+   the panel edge, so "top" is centred 28 px below the top. */
+function lightPosition(angle, W, H) {
+    const a = angle * Math.PI / 180;
+    return { x: W / 2 + (W / 2 - 28) * Math.sin(a), y: H / 2 - (H / 2 - 28) * Math.cos(a) };
+}
+
+function lightAngleAt(x, y, W, H) {
+    const a = Math.atan2((x - W / 2) / (W / 2 - 28), -(y - H / 2) / (H / 2 - 28)) * 180 / Math.PI;
+    return (Math.round(a) + 360) % 360;
+}
+
+// Sources drawn as suns sized by intensity and tinted by spectrum;
+// the experiment panel's suns can be dragged (see initLightDrag)
+function drawLightOverlay(ctx, W, H, lights, draggable) {
+    if (draggable) App.lightHandles = [];
+    lights.forEach((light, i) => {
+        const pos = lightPosition(light.angle, W, H);
+        const col = LIGHT_SPECTRA[light.spectrum].color;
+        const glow = 30 + 28 * light.intensity;
+        if (draggable) App.lightHandles.push({ index: i, x: pos.x, y: pos.y, W, H });
+
+        const g = ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, glow);
+        g.addColorStop(0, col + '6b'); g.addColorStop(1, col + '00');
+        ctx.fillStyle = g; ctx.beginPath(); ctx.arc(pos.x, pos.y, glow, 0, Math.PI * 2); ctx.fill();
+
+        ctx.fillStyle = col; ctx.globalAlpha = 0.35 + 0.65 * light.intensity;
+        ctx.beginPath(); ctx.arc(pos.x, pos.y, 13, 0, Math.PI * 2); ctx.fill();
+        ctx.globalAlpha = 1;
+
+        for (let k = 0; k < 8; k++) {
+            const a = (k / 8) * Math.PI * 2;
+            ctx.strokeStyle = col; ctx.lineWidth = 1.8;
+            ctx.beginPath();
+            ctx.moveTo(pos.x + Math.cos(a) * 17, pos.y + Math.sin(a) * 17);
+            ctx.lineTo(pos.x + Math.cos(a) * 25, pos.y + Math.sin(a) * 25); ctx.stroke();
+        }
+
+        // Beams aimed at the seed
+        const ba = Math.atan2(H / 2 - pos.y, W / 2 - pos.x);
+        ctx.strokeStyle = col + '24'; ctx.lineWidth = 1;
+        for (const off of [-0.22, 0, 0.22]) {
+            const a = ba + off;
+            ctx.beginPath();
+            ctx.moveTo(pos.x + Math.cos(a) * 28, pos.y + Math.sin(a) * 28);
+            ctx.lineTo(pos.x + Math.cos(a) * 130, pos.y + Math.sin(a) * 130); ctx.stroke();
+        }
+
+        ctx.fillStyle = 'rgba(0,0,0,0.28)'; ctx.font = '11px system-ui';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(LIGHT_SPECTRA[light.spectrum].label + ' ' + Math.round(light.intensity * 100) + '%',
+                     pos.x + Math.cos(ba) * 44, pos.y + Math.sin(ba) * 44);
+    });
+}
+
+/* ----------------------------------------------------------
+   Statocyte inset: one root-cap and one shoot cell, drawn in
+   the plant's current lab orientation, with the statolith pile
+   at its displacement and the signal it produces.
+---------------------------------------------------------- */
+function drawStatocytes(ctx, plant, clino, H, isDark) {
+    const rot = plant.orientation + (clino.mode !== 'off' ? clino.inner : 0);
+    [['root', 'Root cap'], ['shoot', 'Shoot']].forEach(([organ, name], i) => {
+        const cx = 34 + i * 58, cy = H - 74;
+        const p = plant.statoliths[organ];
+        const { response } = statolithSignal(p, organ);
+
+        ctx.save();
+        ctx.translate(cx, cy); ctx.rotate(rot);
+        ctx.fillStyle = isDark ? 'rgba(30,41,59,0.85)' : 'rgba(255,255,255,0.85)';
+        ctx.strokeStyle = '#4A90E2'; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.rect(-16, -22, 32, 44); ctx.fill(); ctx.stroke();
+        // Pile of amyloplasts, centred at the displacement
+        ctx.fillStyle = '#a16207';
+        const px = p.x * 10, py = p.y * 15;
+        for (const [dx, dy] of [[0, 0], [-4, 1], [4, 1], [-2, -3], [2, -3]]) {
+            ctx.beginPath(); ctx.arc(px + dx, py + dy, 2.2, 0, Math.PI * 2); ctx.fill();
+        }
+        ctx.restore();
 
-    const g = ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, 58);
-    g.addColorStop(0, 'rgba(255,220,50,0.42)'); g.addColorStop(1, 'rgba(255,220,50,0)');
-    ctx.fillStyle = g; ctx.beginPath(); ctx.arc(pos.x, pos.y, 58, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = isDark ? '#cbd5e1' : '#475569';
+        ctx.font = '10px system-ui'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(name, cx, cy + 28);
+        ctx.fillText('signal ' + Math.round(response * 100) + '%', cx, cy + 40);
+    });
+}
 
-    ctx.fillStyle = '#FFD700'; ctx.beginPath(); ctx.arc(pos.x, pos.y, 13, 0, Math.PI * 2); ctx.fill();
+/* ----------------------------------------------------------
+   Rotating clinostat drum. Spokes turn with the inner axis;
+   on the 2-axis machine the outer gimbal ring is drawn
+   foreshortened by its tilt. Readout shows the gravity the
+   plant feels right now and its running time-average.
+---------------------------------------------------------- */
+function drawClinostatChamber(ctx, W, H, cx, cy, cond, textTop, isDark) {
+    const clino = cond.clinostat;
+    const R = Math.min(W, H) * 0.44;
+    const line = isDark ? 'rgba(148,163,184,0.45)' : 'rgba(71,85,105,0.35)';
 
-    for (let i = 0; i < 8; i++) {
-        const a = (i / 8) * Math.PI * 2;
-        ctx.strokeStyle = '#FFA500'; ctx.lineWidth = 1.8;
+    if (CLINOSTAT_MODES[clino.mode].axes === 2) {
+        ctx.strokeStyle = line; ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(pos.x + Math.cos(a) * 17, pos.y + Math.sin(a) * 17);
-        ctx.lineTo(pos.x + Math.cos(a) * 25, pos.y + Math.sin(a) * 25); ctx.stroke();
+        ctx.ellipse(cx, cy, R + 8, (R + 8) * Math.max(Math.abs(Math.cos(clino.outer)), 0.04), 0, 0, Math.PI * 2);
+        ctx.stroke();
     }
 
-    const ba = Math.atan2(pos.ny, pos.nx);
-    ctx.strokeStyle = 'rgba(255,220,50,0.14)'; ctx.lineWidth = 1;
-    for (const off of [-0.22, 0, 0.22]) {
-        const a = ba + off;
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(clino.inner);
+    ctx.strokeStyle = line; ctx.lineWidth = 3;
+    ctx.beginPath(); ctx.arc(0, 0, R, 0, Math.PI * 2); ctx.stroke();
+    ctx.lineWidth = 1;
+    for (let i = 0; i < 4; i++) {
+        const a = (i / 4) * Math.PI * 2;
         ctx.beginPath();
-        ctx.moveTo(pos.x + Math.cos(a) * 28, pos.y + Math.sin(a) * 28);
-        ctx.lineTo(pos.x + Math.cos(a) * 130, pos.y + Math.sin(a) * 130); ctx.stroke();
+        ctx.moveTo(Math.cos(a) * (R - 14), Math.sin(a) * (R - 14));
+        ctx.lineTo(Math.cos(a) * R, Math.sin(a) * R); ctx.stroke();
     }
+    ctx.fillStyle = isDark ? '#f59e0b' : '#d97706';
+    ctx.beginPath(); ctx.arc(0, -R, 5, 0, Math.PI * 2); ctx.fill();
+    ctx.restore();
 
-    ctx.fillStyle = 'rgba(0,0,0,0.28)'; ctx.font = '11px system-ui';
-    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-    ctx.fillText('Light source', pos.x + pos.nx * 42, pos.y + pos.ny * 42);
+    const mean = clino.samples
+        ? Math.hypot(clino.sum.x / clino.samples, clino.sum.y / clino.samples)
+        : cond.gravity;
+    ctx.fillStyle = isDark ? 'rgba(255,255,255,0.45)' : 'rgba(0,0,0,0.40)';
+    ctx.font = '11px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+    ctx.fillText(CLINOSTAT_MODES[clino.mode].label + ' · ' + clino.rpm + ' rpm (drawn at real speed)', 12, textTop);
+    ctx.fillText('Felt through the rotation: ' + clino.lastMag.toFixed(3) + ' g', 12, textTop + 16);
+    ctx.fillText('Time-averaged: ' + mean.toFixed(3) + ' g', 12, textTop + 32);
 }
 
 function drawGravityArrow(ctx, W, H, g, isDark) {
-    const ax = W - 38, ay = 44, len = 38 * g;
+    // Length grows with g; a floor keeps the head visible at Moon levels
+    const ax = W - 38, ay = 44, len = 12 + 28 * g;
     const col = isDark ? 'rgba(255,110,110,0.75)' : 'rgba(190,45,45,0.70)';
     ctx.strokeStyle = col; ctx.fillStyle = col; ctx.lineWidth = 2.5;
     ctx.beginPath(); ctx.moveTo(ax, ay); ctx.lineTo(ax, ay + len); ctx.stroke();
     ctx.beginPath(); ctx.moveTo(ax, ay + len);
     ctx.lineTo(ax - 5, ay + len - 9); ctx.lineTo(ax + 5, ay + len - 9); ctx.closePath(); ctx.fill();
     ctx.font = '11px system-ui'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
-    ctx.fillText('g = ' + g, ax, ay + len + 5);
+    ctx.fillText('g = ' + g.toFixed(2), ax, ay + len + 5);
 }
 
 function drawAllDiagrams() {
@@ -777,13 +1032,40 @@ function diagramPhototropism() {
     ctx.textBaseline = 'top'; ctx.fillText('Phototropic response', W / 2, 8);
 }
 
-function drawChart() {
-    const canvas = el('growthChart');
-    if (!canvas) return;
-    const { ctx, W, H } = hiDPI(canvas);
+// Line colours for overlaid trials
+const TRIAL_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d'];
+
+// Everything measurePlant() records, in chart / table / CSV order
+const METRICS = {
+    stemLen:      { label: 'Stem length',    unit: 'mm', color: '#228B22' },
+    rootDep:      { label: 'Root depth',     unit: 'mm', color: '#8B4513' },
+    branches:     { label: 'Branches',       unit: '',   color: '#7c3aed' },
+    laterals:     { label: 'Lateral roots',  unit: '',   color: '#92400e' },
+    rootLength:   { label: 'Total root',     unit: 'mm', color: '#b45309' },
+    rootWidth:    { label: 'Root width',     unit: 'mm', color: '#78350f' },
+    tipAngle:     { label: 'Tip angle',      unit: '°',  color: '#0891b2' },
+    rootAngle:    { label: 'Root tip angle', unit: '°',  color: '#a16207' },
+    lightAngle:   { label: 'Angle to light', unit: '°',  color: '#d97706' },
+    straightness: { label: 'Straightness',   unit: '',   color: '#2563eb' },
+    curvature:    { label: 'Curvature',      unit: '°',  color: '#db2777' },
+    spread:       { label: 'Spread',         unit: 'mm', color: '#059669' },
+    carbon:       { label: 'Carbon pool',    unit: '',   color: '#65a30d' },
+    supply:       { label: 'Carbon supply',  unit: '%',  color: '#ca8a04' },
+};
+
+const metricName = key => METRICS[key].label + (METRICS[key].unit ? ' (' + METRICS[key].unit + ')' : '');
+
+// Keys to plot: the stem/root pair (per the toggles) or one chosen measure
+function chartKeys() {
+    if (App.chartMetric !== 'lengths') return [App.chartMetric];
+    return [App.chartToggles.stemLength && 'stemLen', App.chartToggles.rootDepth && 'rootDep'].filter(Boolean);
+}
+
+/* Background, title, gridlines and axes shared by both chart views.
+   Returns the data → pixel scales. */
+function drawChartFrame(ctx, W, H, title, maxT, minV, maxV, isDark) {
     const m = { top: 48, right: 48, bottom: 62, left: 68 };
     const cW = W - m.left - m.right, cH = H - m.top - m.bottom;
-    const isDark = App.theme === 'dark';
 
     ctx.clearRect(0, 0, W, H);
     ctx.fillStyle = isDark ? '#1e293b' : '#ffffff';
@@ -791,23 +1073,10 @@ function drawChart() {
 
     ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
     ctx.font = 'bold 15px system-ui'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
-    ctx.fillText('Plant Growth Over Time', W / 2, 14);
-
-    const hasData = App.dataPoints.length >= 2;
-    const hasCompare = App.compareMode && App.compareData.length >= 2;
-
-    if (!hasData && !hasCompare) {
-        ctx.font = '13px system-ui'; ctx.fillStyle = isDark ? '#94a3b8' : '#64748b';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('Run an experiment to collect data.', W / 2, H / 2); return;
-    }
-
-    const allData = hasCompare ? [...App.dataPoints, ...App.compareData] : App.dataPoints;
-    const maxT = Math.max(...allData.map(p => p.time));
-    const maxL = Math.max(...allData.map(p => Math.max(p.stemLen || 0, p.rootDep || 0)));
-    const sx = t => m.left + (t / maxT) * cW;
-    const sy = l => H - m.bottom - (l / maxL) * cH;
+    ctx.fillText(title, W / 2, 14);
+    if (maxT === null) return null;
 
+    const digits = maxV - minV < 5 ? 2 : 0;
     for (let i = 0; i <= 5; i++) {
         const y = m.top + (i / 5) * cH;
         ctx.strokeStyle = isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.06)';
@@ -815,7 +1084,7 @@ function drawChart() {
         ctx.beginPath(); ctx.moveTo(m.left, y); ctx.lineTo(W - m.right, y); ctx.stroke();
         ctx.fillStyle = isDark ? '#94a3b8' : '#64748b';
         ctx.font = '11px system-ui'; ctx.textAlign = 'right'; ctx.textBaseline = 'middle';
-        ctx.fillText(((1 - i / 5) * maxL).toFixed(0), m.left - 8, y);
+        ctx.fillText((minV + (1 - i / 5) * (maxV - minV)).toFixed(digits), m.left - 8, y);
     }
 
     ctx.strokeStyle = isDark ? '#475569' : '#cbd5e1'; ctx.lineWidth = 1.5;
@@ -824,279 +1093,2445 @@ function drawChart() {
 
     ctx.fillStyle = isDark ? '#94a3b8' : '#64748b';
     ctx.font = '12px system-ui'; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
-    ctx.fillText('Time (minutes)', W / 2, H - 2);
+    ctx.fillText('Simulated time (hours)', W / 2, H - 2);
 
-    ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+    return {
+        m,
+        sx: t => m.left + (t / maxT) * cW,
+        sy: v => H - m.bottom - ((v - minV) / (maxV - minV)) * cH,
+    };
+}
 
-    if (hasData) {
-        if (App.chartToggles.stemLength) {
-            ctx.strokeStyle = '#228B22'; ctx.lineWidth = 2.5;
-            ctx.beginPath();
-            App.dataPoints.forEach((p, i) => {
-                i === 0 ? ctx.moveTo(sx(p.time), sy(p.stemLen)) : ctx.lineTo(sx(p.time), sy(p.stemLen));
-            });
-            ctx.stroke();
-        }
+// Value range over some points, always including zero
+function valueRange(values) {
+    const finite = values.filter(Number.isFinite);
+    const minV = Math.min(0, ...finite);
+    let maxV = Math.max(0, ...finite);
+    if (maxV === minV) maxV = minV + 1;
+    return [minV, maxV];
+}
 
-        if (App.chartToggles.rootDepth) {
-            ctx.strokeStyle = '#8B4513'; ctx.lineWidth = 2.5;
-            ctx.beginPath();
-            App.dataPoints.forEach((p, i) => {
-                i === 0 ? ctx.moveTo(sx(p.time), sy(p.rootDep)) : ctx.lineTo(sx(p.time), sy(p.rootDep));
-            });
-            ctx.stroke();
-        }
+// Polyline through points, broken where a value is missing
+function strokeSeries(ctx, pts, x, y) {
+    ctx.beginPath();
+    let pen = false;
+    for (const p of pts) {
+        const v = y(p);
+        if (v === null || !Number.isFinite(v)) { pen = false; continue; }
+        pen ? ctx.lineTo(x(p), v) : ctx.moveTo(x(p), v);
+        pen = true;
     }
+    ctx.stroke();
+}
 
-    if (hasCompare) {
-        ctx.setLineDash([5, 3]);
-        if (App.chartToggles.stemLength) {
-            ctx.strokeStyle = '#228B2266'; ctx.lineWidth = 2;
-            ctx.beginPath();
-            App.compareData.forEach((p, i) => {
-                i === 0 ? ctx.moveTo(sx(p.time), sy(p.stemLen)) : ctx.lineTo(sx(p.time), sy(p.stemLen));
-            });
-            ctx.stroke();
-        }
-        if (App.chartToggles.rootDepth) {
-            ctx.strokeStyle = '#8B451366'; ctx.lineWidth = 2;
-            ctx.beginPath();
-            App.compareData.forEach((p, i) => {
-                i === 0 ? ctx.moveTo(sx(p.time), sy(p.rootDep)) : ctx.lineTo(sx(p.time), sy(p.rootDep));
-            });
-            ctx.stroke();
+function drawChart() {
+    const canvas = el('growthChart');
+    if (!canvas) return;
+    renderFitReadout();
+    if (App.chartView === 'summary') { drawSummaryChart(canvas); return; }
+    const { ctx, W, H } = hiDPI(canvas);
+    const isDark = App.theme === 'dark';
+    const keys = chartKeys();
+    const title = App.chartMetric === 'lengths' ? 'Plant Growth Over Time' : METRICS[App.chartMetric].label + ' Over Time';
+
+    const trials = overlayTrials().filter(t => t.points.length >= 2);
+    const single = trials.length === 1;
+    const hasCompare = single && trials[0].controlPoints.length >= 2;
+    // Imported measurements of the plotted measures
+    const measured = App.measured ? keys.filter(k => App.measured.keys.includes(k)) : [];
+    const obs = App.measured ? App.measured.points : [];
+
+    if ((!trials.length && !measured.length) || !keys.length) {
+        drawChartFrame(ctx, W, H, title, null, 0, 1, isDark);
+        ctx.font = '13px system-ui'; ctx.fillStyle = isDark ? '#94a3b8' : '#64748b';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(trials.length ? 'Tick Stem Length or Root Depth to plot.' : 'Run an experiment to collect data.', W / 2, H / 2);
+        return;
+    }
+
+    // One trial keeps the classic green/brown look with its control
+    // dashed; several trials get a colour each, second measure dashed.
+    const series = [];
+    trials.forEach((t, i) => {
+        const col = single ? null : TRIAL_COLORS[i % TRIAL_COLORS.length];
+        keys.forEach((key, k) => series.push({
+            pts: t.points, key, color: col || METRICS[key].color,
+            width: single ? 2.5 : 1.8, dash: single || k === 0 ? [] : [8, 4],
+        }));
+    });
+    if (hasCompare) {
+        keys.forEach(key => series.push({ pts: trials[0].controlPoints, key, color: METRICS[key].color + '66', width: 2, dash: [5, 3] }));
+    }
+
+    const allData = series.flatMap(sr => sr.pts);
+    const maxT = Math.max(...allData.map(p => p.time), ...(measured.length ? obs.map(p => p.time) : []));
+    const [minV, maxV] = valueRange([...series.flatMap(sr => sr.pts.map(p => p[sr.key])),
+                                     ...measured.flatMap(k => obs.map(p => p[k]))]);
+    const { m, sx, sy } = drawChartFrame(ctx, W, H, title, maxT, minV, maxV, isDark);
+
+    ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+    for (const sr of series) {
+        ctx.strokeStyle = sr.color; ctx.lineWidth = sr.width;
+        ctx.setLineDash(sr.dash);
+        strokeSeries(ctx, sr.pts, p => sx(p.time), p => p[sr.key] === null ? null : sy(p[sr.key]));
+    }
+    ctx.setLineDash([]);
+
+    // Measurements as open circles in their measure's colour
+    ctx.fillStyle = isDark ? '#1e293b' : '#ffffff'; ctx.lineWidth = 1.5;
+    for (const key of measured) {
+        ctx.strokeStyle = METRICS[key].color;
+        for (const p of obs) {
+            if (p[key] === null || p[key] === undefined) continue;
+            ctx.beginPath(); ctx.arc(sx(p.time), sy(p[key]), 3.5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        }
+    }
+
+    // Protocol steps and other mid-run changes, as dotted verticals
+    trials.forEach((t, i) => {
+        const col = single ? (isDark ? '#94a3b8' : '#64748b') : TRIAL_COLORS[i % TRIAL_COLORS.length];
+        t.events.filter(ev => ev.time <= maxT).forEach((ev, j) => {
+            const x = sx(ev.time);
+            ctx.strokeStyle = col; ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath(); ctx.moveTo(x, m.top); ctx.lineTo(x, H - m.bottom); ctx.stroke();
+            if (single) {
+                ctx.fillStyle = col; ctx.font = '10px system-ui';
+                ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+                ctx.fillText(ev.label, x + 3, m.top + 2 + (j % 4) * 12);
+            }
+        });
+    });
+    ctx.setLineDash([]);
+
+    // Replay cursor at the scrubbed time
+    if (App.replay.step !== null && App.replay.step * STEP_MINUTES / 60 <= maxT) {
+        const t = App.replay.step * STEP_MINUTES / 60, x = sx(t);
+        ctx.strokeStyle = isDark ? '#f59e0b' : '#d97706'; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.moveTo(x, m.top); ctx.lineTo(x, H - m.bottom); ctx.stroke();
+        ctx.fillStyle = ctx.strokeStyle; ctx.font = 'bold 10px system-ui';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+        ctx.fillText(t.toFixed(1) + ' h', x, m.top - 2);
+    }
+
+    const lx = W - m.right - 140, ly = m.top + 14;
+    let lyOffset = 0;
+    ctx.font = '11px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    const measuredLegend = () => {
+        if (!measured.length) return;
+        ctx.strokeStyle = isDark ? '#e2e8f0' : '#1e293b'; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.arc(lx + 9, ly + lyOffset + 1, 3.5, 0, Math.PI * 2); ctx.stroke();
+        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
+        ctx.fillText('Measured', lx + 24, ly + lyOffset + 1); lyOffset += 16;
+    };
+
+    if (!single) {
+        trials.forEach((t, i) => {
+            ctx.fillStyle = TRIAL_COLORS[i % TRIAL_COLORS.length]; ctx.fillRect(lx, ly + lyOffset, 18, 3);
+            ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
+            ctx.fillText(t.name, lx + 24, ly + lyOffset + 1); lyOffset += 16;
+        });
+        measuredLegend();
+        if (trials.length && keys.length > 1) {
+            ctx.fillStyle = isDark ? '#64748b' : '#94a3b8';
+            ctx.font = '10px system-ui';
+            ctx.fillText('(solid = stem, dashed = root)', lx, ly + lyOffset + 8);
+        }
+        return;
+    }
+
+    for (const key of keys) {
+        ctx.fillStyle = METRICS[key].color; ctx.fillRect(lx, ly + lyOffset, 18, 3);
+        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
+        ctx.fillText(metricName(key), lx + 24, ly + lyOffset + 1); lyOffset += 16;
+    }
+    measuredLegend();
+
+    if (hasCompare) {
+        ctx.fillStyle = isDark ? '#64748b' : '#94a3b8';
+        ctx.font = '10px system-ui';
+        ctx.fillText('(dashed = control, ' + gravityLabel(trials[0].controlPoints[0].gravity) + ')', lx, ly + lyOffset + 8);
+    }
+}
+
+function startExperiment() {
+    if (App.isRunning) return;
+    if (App.varietyEdit) { alert('Save or cancel the variety you are editing first.'); return; }
+
+    // Resume a paused run instead of regrowing from the seed
+    const resuming = App.plant && !App.isComplete;
+    stopReplay();
+
+    if (!resuming) {
+        try {
+            App.protocol = validateProtocol(App.protocol);
+        } catch (err) {
+            alert(err.message); return;
+        }
+        App.protocolNext = 0;
+        App.protocolStart = { gravity: App.gravity, lights: App.lights.map(l => ({ ...l })), clinostat: App.clinostat.mode, rpm: App.clinostat.rpm };
+        renderProtocol();
+        App.camera = { scale: 1, targetScale: 1, panY: 0, targetPanY: 0 };
+        App.seed = resolveSeed();
+        App.previewPlant = null;
+        const options = { model: App.growthModel, statoliths: App.statoliths, resources: App.resources, chamber: App.chamber,
+                          tipMovement: App.tipMovement };
+        App.plant = new Plant(App.variety, App.gravity, App.lights, App.seed, options);
+        for (const c of [App.clinostat, App.control.clinostat]) {
+            c.sum = { x: 0, y: 0 }; c.samples = 0; c.lastMag = 0;
+        }
+        App.simMinutes = 0;
+        App.nextSampleMin = SAMPLE_INTERVAL_MIN;
+        App.tipTraces = new Map();
+        App.stagesLogged = 1;
+
+        if (App.compareMode) {
+            const ctrl = controlConditions();
+            App.comparePlant = new Plant(App.variety, ctrl.gravity, ctrl.lights, App.seed, options);
+        } else {
+            App.comparePlant = null;
+        }
+        App.history = createHistory(App.plant);
+        App.compareHistory = App.comparePlant && createHistory(App.comparePlant);
+        createTrial();
+    }
+    App.isRunning = true;
+    App.isComplete = false;
+    App.stepBudget = 0;
+    App.lastFrame = null;
+
+    el('startExperiment').disabled = true;
+    el('stopExperiment').disabled = false;
+    setSetupDisabled(true);
+    renderReplayBar();
+
+    if (resuming) {
+        const trial = activeTrial();
+        if (trial) trial.status = 'running';
+        logObs('Resumed at ' + fmtSimTime(App.simMinutes));
+    } else {
+        logObs('Experiment started — ' + VARIETIES[App.variety].label + ', ' + gravityLabel(App.gravity) + ', ' + clinostatLabel() + ', seed ' + App.seed +
+               (App.growthModel === 'auxin' ? ', auxin model' : '') + (App.statoliths ? ', statolith sensing' : '') +
+               (App.resources ? ', carbon budget' : '') +
+               (App.tipMovement === 'nutation' ? ', circumnutation' : ''));
+        if (App.plant.chamber) logObs('Chamber — ' + chamberLabel(App.plant.chamber));
+        if (App.comparePlant) logObs('Control plant — ' + conditionsLabel(controlConditions()));
+        if (App.protocol.length) logObs('Protocol — ' + protocolLabel(App.protocol));
+    }
+    App.animId = requestAnimationFrame(animate);
+}
+
+// The setup is locked while there is a plant (running, paused or finished)
+function setSetupDisabled(disabled) {
+    el('predictionText').disabled = disabled;
+    setVarietyToolsDisabled(disabled);
+    document.querySelectorAll('.gravity-btn').forEach(b => b.disabled = disabled);
+    ['gravitySlider', 'seedInput', 'newSeed', 'clinostatMode', 'growthModel', 'statolithToggle', 'resourceToggle',
+     'tipMovement'].forEach(id => { el(id).disabled = disabled; });
+    el('clinostatRpm').disabled = disabled || App.clinostat.mode === 'off';
+    setChamberDisabled(disabled);
+    setControlInputsDisabled(disabled);
+    setProtocolDisabled(disabled);
+}
+
+function stopExperiment() {
+    App.isRunning = false;
+    const trial = activeTrial();
+    if (trial) trial.status = 'paused';
+    cancelAnimationFrame(App.animId);
+    el('startExperiment').disabled = false;
+    el('stopExperiment').disabled = true;
+    logObs('Paused at ' + fmtSimTime(App.simMinutes));
+    recordPoint();
+    renderReplayBar();
+}
+
+function resetExperiment() {
+    App.isRunning = false; App.isComplete = false;
+    cancelAnimationFrame(App.animId);
+    const trial = activeTrial();
+    if (trial && trial.status !== 'complete') trial.status = 'stopped';
+    App.activeTrialId = null;
+    App.simMinutes = 0; App.plant = null; App.comparePlant = null;
+    App.history = null; App.compareHistory = null;
+    App.tipTraces = new Map();
+    stopReplay();
+
+    // Undo the protocol's changes so the next replicate starts alike
+    if (App.protocolStart) {
+        const st = App.protocolStart;
+        setGravity(st.gravity);
+        setLights(st.lights);
+        setClinostatMode(st.clinostat, st.rpm);
+        App.protocolStart = null;
+    }
+    App.protocolNext = 0;
+    App.camera = { scale: 1, targetScale: 1, panY: 0, targetPanY: 0 };
+    App.zoom = { level: 1, targetLevel: 1 };
+
+    el('startExperiment').disabled = false;
+    el('stopExperiment').disabled = true;
+    setSetupDisabled(false);
+    renderReplayBar();
+    for (const c of [App.clinostat, App.control.clinostat]) { c.inner = 0; c.outer = 0; }
+    el('elapsedTime').textContent = fmtSimTime(0);
+
+    setVal('stemLengthVal', '0 mm');
+    setVal('rootDepthVal', '0 mm');
+    setVal('branchCountVal', '0');
+    setVal('lateralCountVal', '0');
+    setVal('rootLengthVal', '0 mm');
+    setVal('rootWidthVal', '0 mm');
+    setVal('growthPhaseVal', stageLabel(App.variety, 'imbibition'));
+    setVal('tropismVal', '—');
+    setVal('zoomVal', '100%');
+    ['tipAngleVal', 'rootAngleVal', 'lightAngleVal', 'straightnessVal', 'curvatureVal', 'spreadVal',
+     'carbonVal', 'supplyVal', 'ctrlTipAngleVal', 'ctrlStraightnessVal'].forEach(id => setVal(id, '—'));
+    setVal('ctrlStemVal', '0 mm');
+    setVal('ctrlRootVal', '0 mm');
+    setVal('ctrlBranchVal', '0');
+
+    el('statusMessage').textContent = '';
+    el('statusMessage').className = 'status-message';
+
+    logObs('Experiment reset.');
+    renderCanvas();
+}
+
+/* ----------------------------------------------------------
+   Advance the simulation by one fixed step of STEP_MINUTES.
+   Everything that depends on time (growth, clinostat phase,
+   data sampling) keys on App.simMinutes, never on frames.
+---------------------------------------------------------- */
+function simStep() {
+    const m0 = App.simMinutes, m1 = m0 + STEP_MINUTES;
+    runProtocol(m0);
+    stepPlant(App.plant, App.history, experimentConditions(), m0, m1);
+    if (App.comparePlant) stepPlant(App.comparePlant, App.compareHistory, controlConditions(), m0, m1);
+    App.simMinutes = m1;
+    recordTrace(App.plant);
+    if (App.comparePlant) recordTrace(App.comparePlant);
+    logStages();
+
+    const starved = App.plant.isStarved();
+    if (App.plant.isFinished() || starved) {
+        App.isComplete = true; App.isRunning = false;
+        el('startExperiment').disabled = true;
+        el('stopExperiment').disabled = true;
+        const msg = el('statusMessage');
+        msg.textContent = starved ? 'Growth Stopped' : 'Life Cycle Complete';
+        msg.className = 'status-message complete';
+        logObs(starved
+            ? 'Seed reserve used up with no photosynthesis at ' + fmtSimTime(App.simMinutes) + '. Growth stopped.'
+            : 'Plant senesced at ' + fmtSimTime(App.simMinutes) + '. Life cycle complete.');
+        const trial = activeTrial();
+        if (trial) trial.status = 'complete';
+        recordPoint();
+        if (App.comparePlant) recordComparePoint();
+        renderReplayBar();
+        return;
+    }
+
+    if (App.simMinutes >= App.nextSampleMin) {
+        App.nextSampleMin += SAMPLE_INTERVAL_MIN;
+        recordPoint();
+        if (App.comparePlant) recordComparePoint();
+    }
+}
+
+// Log and mark each stage the plant has entered since the last step,
+// and record a data point at the transition (the final one is recorded on completion)
+function logStages() {
+    const log = App.plant.stageLog;
+    if (App.stagesLogged >= log.length) return;
+    while (App.stagesLogged < log.length) {
+        const st = log[App.stagesLogged++];
+        const label = stageLabel(App.variety, st.stage);
+        logObs('Stage — ' + label + ' at ' + fmtSimTime(st.time * 60) + '.');
+        markEvent(label);
+    }
+    if (!App.plant.isFinished()) {
+        recordPoint();
+        if (App.comparePlant) recordComparePoint();
+    }
+}
+
+// A data point's stage as shown for its variety ('' for points without one)
+function pointStage(p) {
+    if (!p.stage) return '';
+    return VARIETIES[p.variety] ? stageLabel(p.variety, p.stage) : p.stage;
+}
+
+// Grow one plant through [m0, m1] under the given conditions, noting them in its history
+function stepPlant(plant, history, cond, m0, m1) {
+    const clino = cond.clinostat;
+    const g = gravityStimulus(cond.gravity, clino.mode, clino.rpm, m0, m1);
+    clino.sum.x += g.x; clino.sum.y += g.y; clino.samples++;
+    clino.lastMag = g.felt;
+    plant.update(g, cond.lights);
+    if (history) recordHistory(history, plant, cond);
+}
+
+function animate(now) {
+    if (!App.isRunning) return;
+
+    // Clamp long gaps (background tab) so we don't burst-simulate
+    const dt = App.lastFrame === null ? 0 : Math.min(now - App.lastFrame, 250);
+    App.lastFrame = now;
+
+    if (App.speed === 'instant') {
+        const t0 = performance.now();
+        while (App.isRunning && performance.now() - t0 < INSTANT_BUDGET_MS) simStep();
+    } else {
+        App.stepBudget += dt / 1000 * BASE_STEPS_PER_SECOND * App.speed;
+        while (App.isRunning && App.stepBudget >= 1) {
+            App.stepBudget -= 1;
+            simStep();
+        }
+    }
+
+    // Drum is drawn turning at its true rpm in real time; at
+    // accelerated speeds the simulated angle would only strobe
+    for (const clino of [App.clinostat, App.control.clinostat]) {
+        Object.assign(clino, clinostatPhase(clino.mode, clino.rpm, now / 60000));
+    }
+
+    el('elapsedTime').textContent = fmtSimTime(App.simMinutes);
+    updateLiveData();
+    renderCanvas();
+    if (App.isRunning) App.animId = requestAnimationFrame(animate);
+}
+
+// Readouts for the plants on the canvas: the live ones, or the replay's
+function updateLiveData() {
+    const r = App.replay.plant ? App.replay : null;
+    const plant = r ? r.plant : App.plant;
+    if (!plant) return;
+    const cond = r ? r.cond : experimentConditions();
+    const { stemLen, rootDep, branches, laterals, rootLength, rootWidth, ...shape } = measurePlant(plant, cond.lights);
+    
+    const phase = stageLabel(App.variety, plant.stage);
+    const pull = lightVector(cond.lights);
+    const lit = Math.hypot(pull.x, pull.y) > 1e-9;
+    const tropism = cond.clinostat.mode !== 'off' && cond.gravity > 0
+        ? (lit ? 'Clino. + Photo.' : 'Clinorotation')
+        : cond.gravity === 0
+        ? (lit ? 'Phototropism' : 'Undirected')
+        : (lit ? 'Grav. + Photo.' : 'Gravitropism');
+
+    setVal('stemLengthVal', stemLen.toFixed(1) + ' mm');
+    setVal('rootDepthVal', rootDep.toFixed(1) + ' mm');
+    setVal('branchCountVal', branches);
+    setVal('lateralCountVal', laterals);
+    setVal('rootLengthVal', rootLength.toFixed(1) + ' mm');
+    setVal('rootWidthVal', rootWidth.toFixed(1) + ' mm');
+    setVal('growthPhaseVal', phase);
+    setVal('tropismVal', tropism);
+    setVal('tipAngleVal', shape.tipAngle.toFixed(1) + '°');
+    setVal('rootAngleVal', shape.rootAngle.toFixed(1) + '°');
+    setVal('lightAngleVal', shape.lightAngle === null ? '—' : shape.lightAngle.toFixed(1) + '°');
+    setVal('straightnessVal', shape.straightness.toFixed(3));
+    setVal('curvatureVal', shape.curvature.toFixed(0) + '°');
+    setVal('spreadVal', shape.spread.toFixed(1) + ' mm');
+    setVal('carbonVal', shape.carbon === null ? '—' : shape.carbon.toFixed(1));
+    setVal('supplyVal', shape.supply === null ? '—' : shape.supply + '%');
+
+    const comparePlant = r ? r.comparePlant : App.comparePlant;
+    if (comparePlant) {
+        const ctrl = measurePlant(comparePlant, (r ? r.compareCond : controlConditions()).lights);
+        setVal('ctrlStemVal', ctrl.stemLen.toFixed(1) + ' mm');
+        setVal('ctrlRootVal', ctrl.rootDep.toFixed(1) + ' mm');
+        setVal('ctrlBranchVal', ctrl.branches);
+        setVal('ctrlTipAngleVal', ctrl.tipAngle.toFixed(1) + '°');
+        setVal('ctrlStraightnessVal', ctrl.straightness.toFixed(3));
+    }
+}
+
+function recordPoint() {
+    const trial = activeTrial();
+    if (!App.plant || !trial) return;
+    trial.points.push({
+        time: App.simMinutes / 60,
+        variety: App.variety,
+        gravity: App.gravity,
+        light: lightsLabel(App.lights),
+        clinostat: clinostatLabel(),
+        seed: App.seed,
+        ...measurePlant(App.plant, App.lights)
+    });
+    updateTable(); drawChart(); renderTrialList();
+    scheduleSave();
+}
+
+function recordComparePoint() {
+    const trial = activeTrial();
+    if (!App.comparePlant || !trial) return;
+    const ctrl = controlConditions();
+    trial.controlPoints.push({
+        time: App.simMinutes / 60,
+        variety: App.variety,
+        gravity: ctrl.gravity,
+        light: lightsLabel(ctrl.lights),
+        clinostat: clinostatLabel(ctrl.clinostat),
+        seed: App.seed,
+        ...measurePlant(App.comparePlant, ctrl.lights)
+    });
+    drawChart(); updateStats();
+}
+
+function updateTable() {
+    const tbody = el('dataTableBody');
+    tbody.innerHTML = '';
+    const trials = overlayTrials().filter(t => t.points.length);
+    if (!trials.length) {
+        tbody.innerHTML = '<tr><td colspan="20" class="empty-table">No data recorded yet.</td></tr>';
+        updateStats();
+        return;
+    }
+    for (const t of trials) {
+        for (const p of t.points) {
+            const tr = tbody.insertRow();
+            [t.name,
+             p.time.toFixed(2),
+             VARIETIES[p.variety]?.label || p.variety,
+             p.gravity + 'g',
+             p.light,
+             pointStage(p) || '—',
+             ...Object.keys(METRICS).map(key => p[key] ?? '—')
+            ].forEach(v => { tr.insertCell().textContent = v; });
+        }
+    }
+    updateStats();
+}
+
+/* ============================================================
+   DATA EXPORT — CSV, tidy CSV, JSON and segment geometry
+   Export… opens a small panel of formats. All trials are
+   exported, control plants included, whether or not they're
+   ticked for the chart. CSV files start with a byte-order mark
+   so spreadsheets read them as UTF-8; metadata lines start
+   with '#' (comment='#' in pandas, comment.char='#' in R).
+   ============================================================ */
+const EXPORT_FORMATS = {
+    csv:      { file: 'plant_growth_data.csv',  type: 'text/csv',         build: () => growthCsv() },
+    tidy:     { file: 'plant_growth_tidy.csv',  type: 'text/csv',         build: () => tidyCsv() },
+    json:     { file: 'plant_growth_data.json', type: 'application/json', build: () => JSON.stringify(growthJson(), null, 2) },
+    geometry: { file: 'plant_geometry.csv',     type: 'text/csv',         build: () => geometryCsv() },
+};
+
+const csvText = rows => '\ufeff' + rows.map(r => Array.isArray(r) ? r.map(csvCell).join(',') : r).join('\n') + '\n';
+
+// Every recorded point: [trial, 'experiment' | 'control', point]
+function allPoints() {
+    const out = [];
+    for (const t of App.trials) {
+        t.points.forEach(p => out.push([t, 'experiment', p]));
+        t.controlPoints.forEach(p => out.push([t, 'control', p]));
+    }
+    return out;
+}
+
+// '#' lines describing each trial: its setup, seed and hypothesis
+function trialMetadata() {
+    const lines = ['# Plant growth data, exported ' + new Date().toISOString()];
+    for (const t of App.trials) {
+        const p = t.params;
+        lines.push('# Trial ' + t.id + ': ' + t.name + ' (' + t.status + ', started ' + t.created + ')',
+                   '#   Seed: ' + p.seed,
+                   '#   Parameters: variety=' + (VARIETIES[p.variety]?.label || p.variety) + '; gravity=' + p.gravity +
+                   ' g; light=' + p.light + '; clinostat=' + p.clinostat + '; control=' + (p.control || 'none') +
+                   '; protocol=' + (p.protocol || 'none') + '; model=' + p.model + '; statoliths=' + p.statoliths +
+                   '; resources=' + p.resources + '; chamber=' + p.chamber + '; movement=' + p.tipMovement,
+                   '#   Hypothesis: ' + (t.hypothesis.replace(/\s+/g, ' ') || '(none written)'));
+    }
+    return lines;
+}
+
+// One row per sample, measures as columns (as on the table)
+function growthCsv() {
+    const rows = [...trialMetadata(),
+                  ['Trial', 'Plant', 'Replicate Group', 'Time (h)', 'Variety', 'Gravity', 'Light', 'Clinostat', 'Seed', 'Stage',
+                   ...Object.keys(METRICS).map(metricName)]];
+    for (const [t, plant, p] of allPoints()) {
+        rows.push([t.name, plant, t.groupLabel, p.time.toFixed(2), VARIETIES[p.variety]?.label || p.variety,
+                   p.gravity, p.light, p.clinostat, p.seed, pointStage(p),
+                   ...Object.keys(METRICS).map(key => p[key])]);
+    }
+    return csvText(rows);
+}
+
+// Long format: one row per sample and measure
+function tidyCsv() {
+    const rows = [['trial_id', 'trial', 'group', 'plant', 'variety', 'gravity_g', 'light', 'clinostat', 'seed',
+                   'time_h', 'stage', 'measure', 'value', 'unit']];
+    for (const [t, plant, p] of allPoints()) {
+        for (const key of Object.keys(METRICS)) {
+            if (p[key] === null || p[key] === undefined) continue;
+            rows.push([t.id, t.name, t.groupLabel, plant, p.variety, p.gravity, p.light, p.clinostat, p.seed,
+                       p.time.toFixed(2), p.stage, key, p[key], METRICS[key].unit]);
+        }
+    }
+    return csvText(rows);
+}
+
+function growthJson() {
+    return {
+        format: 'plant-growth-data',
+        exported: new Date().toISOString(),
+        measures: Object.fromEntries(Object.entries(METRICS).map(([k, m]) => [k, { label: m.label, unit: m.unit }])),
+        trials: App.trials.map(t => ({
+            id: t.id, name: t.name, group: t.groupLabel, status: t.status, created: t.created,
+            params: t.params, hypothesis: t.hypothesis,
+            points: t.points, controlPoints: t.controlPoints, events: t.events, log: t.log,
+        })),
+    };
+}
+
+/* Segments of the plants on the canvas (replayed ones while
+   scrubbing) from plantGeometry(): plant frame, mm, y down, the
+   seed at 0,0; orientation turns it into the lab frame. */
+function geometryCsv() {
+    const r = App.replay.plant ? App.replay : App;
+    const rows = [['plant', 'time_h', 'orientation_deg', 'segment', 'parent', 'organ', 'branch',
+                   'x', 'y', 'end_x', 'end_y', 'angle_rad', 'length_mm', 'width_mm', 'leaves', 'leaf_detail']];
+    [['experiment', r.plant], ['control', r.comparePlant]].forEach(([name, plant]) => {
+        if (!plant) return;
+        for (const s of plantGeometry(plant)) {
+            rows.push([name, plant.hours.toFixed(2), round1(toDeg(plant.orientation)), s.id, s.parent, s.organ, s.branch,
+                       s.x, s.y, s.endX, s.endY, s.angle, s.length, s.width, s.leaves.length,
+                       s.leaves.map(l => l.position + ':' + l.side + ':' + l.size).join(' ')]);
+        }
+    });
+    return csvText(rows);
+}
+
+function toggleExportOptions(show = el('exportOptions').classList.contains('hidden')) {
+    el('exportOptions').classList.toggle('hidden', !show);
+}
+
+function exportData() {
+    const key = document.querySelector('input[name="exportFormat"]:checked')?.value || 'csv';
+    const format = EXPORT_FORMATS[key];
+    if (key === 'geometry' && !App.plant) { alert('Grow a plant first.'); return; }
+    if (key !== 'geometry' && !allPoints().length) { alert('No data to export yet.'); return; }
+    downloadBlob(new Blob([format.build()], { type: format.type }), format.file);
+    toggleExportOptions(false);
+}
+
+/* ============================================================
+   MEASURED DATA — Bench measurements over the simulated curves
+   Import data… reads a CSV (see parseCsv in model.js) and opens
+   a panel to map its columns to time, stem length, root length
+   and angle. The measurements are drawn as open circles on the
+   growth chart, and each ticked trial is scored against them
+   (RMSE and R²) under the chart.
+   ============================================================ */
+const IMPORT_ERRORS_SHOWN = 8;
+
+function showImportMessage(text, isError = false) {
+    const box = el('importMessage');
+    box.textContent = text;
+    box.classList.toggle('error', isError);
+    box.classList.toggle('hidden', !text);
+}
+
+async function openMeasuredFile(file) {
+    let csv;
+    try {
+        csv = parseCsv(await file.text());
+    } catch (err) {
+        App.measuredDraft = null;
+        renderImportPanel();
+        showImportMessage('Could not read ' + file.name + ':\n' + err.message, true);
+        return;
+    }
+    App.measuredDraft = { name: file.name, csv };
+    renderImportPanel();
+    showImportMessage('');
+}
+
+// One column picker per field, guessed from the header
+function renderImportPanel() {
+    const draft = App.measuredDraft;
+    el('importPanel').classList.remove('hidden');
+    el('applyImport').disabled = !draft;
+    const box = el('importFields');
+    box.innerHTML = '';
+    if (!draft) return;
+    setVal('importSummary', draft.name + ': ' + draft.csv.rows.length + ' rows, columns separated by ' +
+           { ',': 'commas', ';': 'semicolons', '\t': 'tabs' }[draft.csv.delimiter]);
+    const guess = guessColumns(draft.csv.header);
+    for (const [field, spec] of Object.entries(MEASURED_FIELDS)) {
+        const label = document.createElement('label');
+        label.textContent = spec.label;
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        select.dataset.field = field;
+        select.add(new Option(field === 'time' ? '(choose)' : '(none)', -1));
+        draft.csv.header.forEach((h, i) => select.add(new Option(h || 'Column ' + (i + 1), i)));
+        select.value = guess[field];
+        label.htmlFor = select.id = 'importColumn-' + field;
+        box.append(label, select);
+    }
+}
+
+function closeImportPanel() {
+    App.measuredDraft = null;
+    el('importPanel').classList.add('hidden');
+    showImportMessage('');
+}
+
+function applyImport() {
+    const draft = App.measuredDraft;
+    if (!draft) return;
+    const columns = {};
+    el('importFields').querySelectorAll('select').forEach(s => { columns[s.dataset.field] = parseInt(s.value, 10); });
+    let result;
+    try {
+        result = readMeasurements(draft.csv, { columns, timeUnit: el('importTimeUnit').value, angleKey: el('importAngle').value });
+    } catch (err) {
+        showImportMessage(err.message, true);
+        return;
+    }
+    const { points, errors, keys } = result;
+    const skipped = errors.slice(0, IMPORT_ERRORS_SHOWN).map(e => 'Line ' + e.line + ': ' + e.message).join('\n') +
+                    (errors.length > IMPORT_ERRORS_SHOWN ? '\n… and ' + (errors.length - IMPORT_ERRORS_SHOWN) + ' more' : '');
+    if (!points.length) {
+        showImportMessage('No usable rows in ' + draft.name + '.\n' + skipped, true);
+        return;
+    }
+    App.measured = { name: draft.name, points, keys };
+    logObs('Measured data imported from ' + draft.name + ': ' + points.length + ' rows' +
+           (errors.length ? ', ' + errors.length + ' skipped' : '') + '.');
+    drawChart(); scheduleSave();
+    if (!errors.length) { closeImportPanel(); return; }
+    App.measuredDraft = null;
+    renderImportPanel();
+    showImportMessage('Overlaid ' + points.length + ' rows from ' + draft.name + '; skipped ' + errors.length + ':\n' + skipped, true);
+}
+
+function clearMeasured() {
+    App.measured = null;
+    drawChart(); scheduleSave();
+}
+
+// RMSE / R² of each ticked trial against each measured column
+function renderFitReadout() {
+    const box = el('fitReadout');
+    if (!box) return;
+    const meas = App.measured;
+    box.innerHTML = '';
+    box.classList.toggle('hidden', !meas);
+    if (!meas) return;
+
+    const head = document.createElement('div');
+    head.className = 'fit-header';
+    const name = document.createElement('span');
+    name.textContent = 'Measured: ' + meas.name + ' (' + meas.points.length + ' rows, open circles on the chart)';
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-small'; remove.type = 'button'; remove.textContent = 'Remove';
+    remove.addEventListener('click', clearMeasured);
+    head.append(name, remove);
+    box.appendChild(head);
+
+    const trials = overlayTrials().filter(t => t.points.length >= 2);
+    if (!trials.length) {
+        const p = document.createElement('p');
+        p.className = 'empty-table'; p.textContent = 'Tick a trial to compare it with the measurements.';
+        box.appendChild(p);
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const th = table.createTHead().insertRow();
+    ['Trial', ...meas.keys.map(k => metricName(k) + ': RMSE, R² (n)')].forEach(v => {
+        const c = document.createElement('th'); c.textContent = v; th.appendChild(c);
+    });
+    const body = table.createTBody();
+    for (const t of trials) {
+        const tr = body.insertRow();
+        [t.name, ...meas.keys.map(k => {
+            const f = fitStats(t.points, meas.points, k);
+            if (!f.n) return 'no overlap';
+            return f.rmse.toFixed(2) + ', ' + (Number.isNaN(f.r2) ? '—' : f.r2.toFixed(3)) + ' (' + f.n + ')';
+        })].forEach(v => { tr.insertCell().textContent = v; });
+    }
+    box.appendChild(table);
+}
+
+/* ============================================================
+   REPLICATE SUMMARY — Mean ± 95% CI per condition group
+   Ticked trials are pooled by replicate group; each control
+   plant joins a group of its own conditions, so a compare run
+   gives both sides of a 0 g vs 1 g test.
+   ============================================================ */
+function replicateGroups() {
+    const groups = new Map();
+    const add = (key, label, trial, points) => {
+        if (!points.length) return;
+        if (!groups.has(key)) groups.set(key, { key, label, runs: [] });
+        groups.get(key).runs.push({ points, complete: trial.status === 'complete' });
+    };
+    for (const t of overlayTrials()) {
+        add(t.group, t.groupLabel, t, t.points);
+        if (t.params.control) {
+            add('control|' + t.params.variety + '|' + t.params.control,
+                (VARIETIES[t.params.variety]?.label || t.params.variety) + ' · ' + t.params.control + ' (control)',
+                t, t.controlPoints);
+        }
+    }
+    return [...groups.values()];
+}
+
+/* Per-time summaries of one metric for a group. Only regular sample
+   times are used; a run that finished keeps its final size for the
+   later times, since a mature plant no longer changes. */
+function groupSeries(group, key) {
+    const onGrid = p => Math.round(p.time * 60) % SAMPLE_INTERVAL_MIN === 0;
+    const times = [...new Set(group.runs.flatMap(r => r.points.filter(onGrid).map(p => Math.round(p.time * 60))))]
+        .sort((a, b) => a - b);
+    return times.map(min => {
+        const values = [];
+        for (const run of group.runs) {
+            const hit = run.points.find(p => Math.round(p.time * 60) === min);
+            const last = run.points[run.points.length - 1];
+            const v = hit ? hit[key] : run.complete && last.time * 60 < min ? last[key] : null;
+            if (Number.isFinite(v)) values.push(v);
+        }
+        return { time: min / 60, values, ...summarize(values) };
+    });
+}
+
+function drawSummaryChart(canvas) {
+    const { ctx, W, H } = hiDPI(canvas);
+    const isDark = App.theme === 'dark';
+    const keys = chartKeys();
+    const title = (App.chartMetric === 'lengths' ? 'Stem & root length' : METRICS[App.chartMetric].label) +
+                  ' — group mean ± 95% CI';
+
+    const groups = replicateGroups()
+        .map(g => ({ ...g, series: keys.map(key => groupSeries(g, key)) }))
+        .filter(g => g.series.some(sr => sr.length >= 2));
+    if (!groups.length) {
+        drawChartFrame(ctx, W, H, title, null, 0, 1, isDark);
+        ctx.font = '13px system-ui'; ctx.fillStyle = isDark ? '#94a3b8' : '#64748b';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText('Run some trials to see group summaries.', W / 2, H / 2); return;
+    }
+
+    const all = groups.flatMap(g => g.series.flat());
+    const maxT = Math.max(...all.map(s => s.time));
+    const [minV, maxV] = valueRange(all.flatMap(s => [s.mean - s.ci, s.mean + s.ci]));
+    const { m, sx, sy } = drawChartFrame(ctx, W, H, title, maxT, minV, maxV, isDark);
+
+    groups.forEach((g, i) => {
+        const col = TRIAL_COLORS[i % TRIAL_COLORS.length];
+        g.series.forEach((sr, k) => {
+            if (sr.length < 2) return;
+            // CI band: upper edge forwards, lower edge back
+            ctx.fillStyle = col + '2e';
+            ctx.beginPath();
+            sr.forEach((s, j) => j === 0 ? ctx.moveTo(sx(s.time), sy(s.mean + s.ci)) : ctx.lineTo(sx(s.time), sy(s.mean + s.ci)));
+            for (let j = sr.length - 1; j >= 0; j--) ctx.lineTo(sx(sr[j].time), sy(sr[j].mean - sr[j].ci));
+            ctx.closePath(); ctx.fill();
+
+            ctx.strokeStyle = col; ctx.lineWidth = 2.5;
+            ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+            ctx.setLineDash(k === 0 ? [] : [8, 4]);
+            strokeSeries(ctx, sr, s => sx(s.time), s => sy(s.mean));
+        });
+    });
+    ctx.setLineDash([]);
+
+    const lx = m.left + 12, ly = m.top + 10;
+    ctx.font = '11px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    groups.forEach((g, i) => {
+        ctx.fillStyle = TRIAL_COLORS[i % TRIAL_COLORS.length]; ctx.fillRect(lx, ly + i * 16, 18, 3);
+        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
+        ctx.fillText(g.label + '  (n = ' + g.runs.length + ')', lx + 24, ly + i * 16 + 1);
+    });
+    if (keys.length > 1) {
+        ctx.fillStyle = isDark ? '#64748b' : '#94a3b8';
+        ctx.font = '10px system-ui';
+        ctx.fillText('(solid = stem, dashed = root)', lx, ly + groups.length * 16 + 8);
+    }
+}
+
+/* Welch / Student t-tests between two groups at the latest sample
+   time where both have at least two replicates. */
+function updateStats() {
+    const box = el('statsTable');
+    if (!box) return;
+    const groups = replicateGroups();
+    const selA = el('statsGroupA'), selB = el('statsGroupB');
+
+    [selA, selB].forEach(sel => {
+        sel.innerHTML = '';
+        groups.forEach(g => sel.add(new Option(g.label + ' (n = ' + g.runs.length + ')', g.key)));
+    });
+    if (!groups.some(g => g.key === App.statsPair.a)) App.statsPair.a = groups[0]?.key ?? null;
+    if (!groups.some(g => g.key === App.statsPair.b) || App.statsPair.b === App.statsPair.a) {
+        App.statsPair.b = groups.find(g => g.key !== App.statsPair.a)?.key ?? null;
+    }
+    selA.value = App.statsPair.a ?? ''; selB.value = App.statsPair.b ?? '';
+
+    const A = groups.find(g => g.key === App.statsPair.a);
+    const B = groups.find(g => g.key === App.statsPair.b);
+    if (!A || !B) {
+        box.innerHTML = '<p class="empty-table">Tick trials from at least two condition groups to compare them.</p>';
+        return;
+    }
+
+    const fmt = (v, d = 2) => Number.isFinite(v) ? v.toFixed(d) : '—';
+    const fmtP = p => !Number.isFinite(p) ? '—' : p < 0.001 ? '< 0.001' : p.toFixed(3);
+    let html = '<table class="data-table stats-table"><thead><tr>' +
+        '<th>Measure</th><th>Time (h)</th><th>A: mean ± SD (n)</th><th>A: 95% CI</th>' +
+        '<th>B: mean ± SD (n)</th><th>B: 95% CI</th><th>A − B</th>' +
+        '<th>Welch t (df)</th><th>Welch p</th><th>Student p</th></tr></thead><tbody>';
+
+    for (const key of Object.keys(METRICS)) {
+        const sa = groupSeries(A, key), sb = groupSeries(B, key);
+        if (!sa.some(s => s.n) && !sb.some(s => s.n)) continue;  // e.g. angle to light in the dark
+        const common = sa.filter(s => s.n >= 2 && sb.some(o => o.time === s.time && o.n >= 2));
+        const at = common[common.length - 1];
+        const name = metricName(key);
+        if (!at) {
+            html += '<tr><td>' + name + '</td><td colspan="9" class="empty-table">Needs at least 2 replicates in each group at a shared time.</td></tr>';
+            continue;
+        }
+        const other = sb.find(o => o.time === at.time);
+        const r = tTest(at.values, other.values);
+        const ci = s => '[' + fmt(s.mean - s.ci) + ', ' + fmt(s.mean + s.ci) + ']';
+        const sig = r.welch.p < 0.05 ? ' class="stats-sig"' : '';
+        html += '<tr><td>' + name + '</td><td>' + at.time.toFixed(1) + '</td>' +
+            '<td>' + fmt(r.a.mean) + ' ± ' + fmt(r.a.sd) + ' (' + r.a.n + ')</td><td>' + ci(r.a) + '</td>' +
+            '<td>' + fmt(r.b.mean) + ' ± ' + fmt(r.b.sd) + ' (' + r.b.n + ')</td><td>' + ci(r.b) + '</td>' +
+            '<td>' + fmt(r.diff) + '</td>' +
+            '<td>' + fmt(r.welch.t) + ' (' + fmt(r.welch.df, 1) + ')</td>' +
+            '<td' + sig + '>' + fmtP(r.welch.p) + '</td><td>' + fmtP(r.student.p) + '</td></tr>';
+    }
+    html += '</tbody></table><p class="control-hint">Highlighted p-values are below 0.05. ' +
+            'Welch\'s test does not assume equal variances; prefer it over Student\'s.</p>';
+    box.innerHTML = html;
+}
+
+function clearData() {
+    if (confirm('Clear all recorded trials?')) {
+        // Keep the trial that is still growing, just empty it
+        const running = activeTrial();
+        App.trials = running ? [running] : [];
+        if (running) { running.points = []; running.controlPoints = []; }
+        App.detailTrialId = null;
+        updateTable(); drawChart(); renderTrialList();
+    }
+}
+
+/* ============================================================
+   REPLAY — Time-lapse scrubber
+   Once a run is paused or finished, the scrubber under the
+   canvas regrows both plants to any earlier step from their
+   growth histories (see model.js) and shows them in place of
+   the live ones, with a cursor on the growth chart. Frames are
+   REPLAY_FRAME_STEPS apart; scrubbing to the end goes back to
+   the live plants.
+   ============================================================ */
+const REPLAY_FRAME_STEPS = 6;  // 30 min
+
+// Conditions as the canvas draws them, at the end of `step` steps
+function replayConditions(history, step) {
+    const c = historyConditions(history, step - 1);
+    const sum = { x: 0, y: 0 };
+    let g = { x: 0, y: 0, felt: 0 };
+    for (let i = 0; i < step; i++) {
+        const ci = history.conditions[history.steps[i]], m0 = i * STEP_MINUTES;
+        g = gravityStimulus(ci.gravity, ci.clinostat.mode, ci.clinostat.rpm, m0, m0 + STEP_MINUTES);
+        sum.x += g.x; sum.y += g.y;
+    }
+    const phase = clinostatPhase(c.clinostat.mode, c.clinostat.rpm, step * STEP_MINUTES);
+    return {
+        gravity: c.gravity, lights: c.lights,
+        clinostat: { ...c.clinostat, ...phase, sum, samples: step, lastMag: g.felt },
+    };
+}
+
+function renderReplayBar() {
+    const slider = el('replaySlider');
+    if (!slider) return;
+    const n = App.history ? App.history.steps.length : 0;
+    const usable = n > 0 && !App.isRunning;
+    // Hands off while a time-lapse export is driving the replay
+    const locked = !usable || App.replay.exporting;
+    ['replayPlay', 'replayBack', 'replayForward', 'exportTimelapse'].forEach(id => { el(id).disabled = locked; });
+    slider.disabled = locked;
+    slider.max = n;
+    slider.value = App.replay.step ?? n;
+    el('replayPlay').textContent = App.replay.playing ? 'Pause' : 'Play';
+    setVal('replayTime', !usable ? 'Replay: pause or finish a run'
+        : App.replay.step === null ? 'Replay: ' + fmtSimTime(n * STEP_MINUTES) + ' (live)'
+        : 'Replay: ' + fmtSimTime(App.replay.step * STEP_MINUTES) + ' of ' + fmtSimTime(n * STEP_MINUTES));
+}
+
+function seekReplay(step) {
+    const r = App.replay, n = App.history.steps.length;
+    step = Math.max(0, Math.min(Math.round(step), n));
+    if (step === n) {
+        Object.assign(r, { step: null, plant: null, comparePlant: null, cond: null, compareCond: null });
+    } else {
+        // Grow the shown plants on a little rather than restore a saved copy
+        const ahead = r.plant && step >= r.step && step - r.step < HISTORY_CHECKPOINT_STEPS;
+        r.plant = ahead ? replayHistory(App.history, r.plant, r.step, step) : plantAt(App.history, step);
+        r.comparePlant = !App.compareHistory ? null
+            : ahead ? replayHistory(App.compareHistory, r.comparePlant, r.step, step) : plantAt(App.compareHistory, step);
+        r.cond = replayConditions(App.history, step);
+        r.compareCond = App.compareHistory && replayConditions(App.compareHistory, step);
+        r.step = step;
+    }
+    renderReplayBar(); updateLiveData(); renderCanvas(); drawChart();
+}
+
+function toggleReplay() {
+    const r = App.replay;
+    if (r.playing) { r.playing = false; renderReplayBar(); return; }
+    if (r.step === null) seekReplay(0);
+    r.playing = true;
+    r.pos = r.step;
+    r.lastFrame = null;
+    renderReplayBar();
+    requestAnimationFrame(animateReplay);
+}
+
+function animateReplay(now) {
+    const r = App.replay;
+    if (!r.playing) return;
+    const dt = r.lastFrame === null ? 0 : Math.min(now - r.lastFrame, 250);
+    r.lastFrame = now;
+    r.pos += dt / 1000 * r.speed * 60 / STEP_MINUTES;
+    seekReplay(Math.floor(r.pos));
+    if (r.step === null) { r.playing = false; renderReplayBar(); return; }
+    requestAnimationFrame(animateReplay);
+}
+
+function stepReplay(frames) {
+    App.replay.playing = false;
+    seekReplay((App.replay.step ?? App.history.steps.length) + frames * REPLAY_FRAME_STEPS);
+}
+
+// Back to the live plants
+function stopReplay() {
+    Object.assign(App.replay, { step: null, playing: false, plant: null, comparePlant: null, cond: null, compareCond: null });
+    renderReplayBar();
+}
+
+/* ============================================================
+   IMAGE EXPORT — PNG, SVG and time-lapse video
+   Every export draws the scene again with drawScene: a PNG at
+   PNG_SCALE times the on-screen size, an SVG through SvgContext
+   (below) so the plant stays vector, and a time-lapse from the
+   growth history, one frame per TIMELAPSE hour, either recorded
+   to WebM with MediaRecorder or encoded here as an animated GIF.
+   ============================================================ */
+const PNG_SCALE = 4;
+const TIMELAPSE = { fps: 12, maxFrames: 240, videoScale: 2, gifScale: 1, bitrate: 8000000 };
+
+// On-screen size of the growth canvas, in CSS pixels
+function sceneSize() {
+    const canvas = el('clinostatCanvas');
+    return { W: canvas.clientWidth || 600, H: canvas.clientHeight || 600 };
+}
+
+// "plant-cress-36h" for the plant on the canvas
+function exportName() {
+    const plant = App.replay.plant || App.plant;
+    return 'plant-' + App.variety + (plant ? '-' + Math.round(plant.hours) + 'h' : '');
+}
+
+function sceneCanvas(W, H, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(W * scale); canvas.height = Math.round(H * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    return { canvas, ctx };
+}
+
+function exportImage(format) {
+    const { W, H } = sceneSize();
+    if (format === 'svg') {
+        const svg = new SvgContext(W, H);
+        drawScene(svg, W, H, 'settle');
+        downloadBlob(new Blob([svg.toString()], { type: 'image/svg+xml' }), exportName() + '.svg');
+        renderCanvas();
+        return;
+    }
+    const { canvas, ctx } = sceneCanvas(W, H, PNG_SCALE);
+    drawScene(ctx, W, H, 'settle');
+    renderCanvas();
+    canvas.toBlob(blob => downloadBlob(blob, exportName() + '.png'), 'image/png');
+}
+
+/* Replay the whole run into frames, calling onFrame after each is
+   drawn. The camera is fitted once to the finished plants so the
+   time-lapse doesn't zoom while the page canvas follows along. */
+async function renderTimelapse(W, H, scale, onFrame, progress) {
+    const n = App.history.steps.length;
+    const every = Math.max(REPLAY_FRAME_STEPS, Math.ceil(n / TIMELAPSE.maxFrames));
+    const { canvas, ctx } = sceneCanvas(W, H, scale);
+    stopReplay();
+    drawScene(ctx, W, H, 'settle');
+    const camera = { ...App.camera }, zoom = App.zoom.level;
+    for (let step = 0; ; step = Math.min(step + every, n)) {
+        seekReplay(step);
+        Object.assign(App.camera, camera);
+        App.zoom.level = zoom;
+        drawScene(ctx, W, H, 'fixed');
+        await onFrame(canvas, ctx);
+        progress(step / n);
+        if (step === n) break;
+    }
+    return canvas;
+}
+
+async function exportTimelapse(format) {
+    if (!App.history || !App.history.steps.length || App.isRunning) {
+        alert('Pause or finish a run first: the time-lapse is made from its growth history.');
+        return;
+    }
+    if (format === 'webm' && !(window.MediaRecorder && HTMLCanvasElement.prototype.captureStream)) {
+        alert('This browser cannot record canvas video. Export an animated GIF instead.');
+        return;
+    }
+    const button = el('exportTimelapse');
+    const label = button.textContent;
+    App.replay.exporting = true;
+    const progress = f => { button.textContent = 'Rendering ' + Math.round(f * 100) + '%'; };
+    const { W, H } = sceneSize();
+    try {
+        if (format === 'gif') {
+            const scale = TIMELAPSE.gifScale;
+            const gif = createGifEncoder(Math.round(W * scale), Math.round(H * scale), Math.round(100 / TIMELAPSE.fps));
+            await renderTimelapse(W, H, scale, async (canvas, ctx) => {
+                gif.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+                await new Promise(r => setTimeout(r, 0));  // Let the page repaint
+            }, progress);
+            downloadBlob(new Blob([gif.finish()], { type: 'image/gif' }), exportName() + '.gif');
+        } else {
+            let recorder, track;
+            const chunks = [];
+            await renderTimelapse(W, H, TIMELAPSE.videoScale, async canvas => {
+                if (!recorder) {
+                    const stream = canvas.captureStream(0);
+                    track = stream.getVideoTracks()[0];
+                    const type = ['video/webm;codecs=vp9', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+                    recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: TIMELAPSE.bitrate });
+                    recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+                    recorder.start();
+                }
+                // MediaRecorder stamps frames with real time, so pace them
+                track.requestFrame();
+                await new Promise(r => setTimeout(r, 1000 / TIMELAPSE.fps));
+            }, progress);
+            await new Promise(r => { recorder.onstop = r; recorder.stop(); });
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), exportName() + '.webm');
+        }
+        logObs('Time-lapse exported (' + format.toUpperCase() + ').');
+    } catch (err) {
+        alert('Time-lapse export failed: ' + err.message);
+    } finally {
+        button.textContent = label;
+        App.replay.exporting = false;
+        stopReplay();
+        updateLiveData();
+        renderCanvas(); drawChart();
+    }
+}
+
+/* ----------------------------------------------------------
+   SvgContext: the part of the canvas 2D API the drawing code
+   uses, writing SVG instead of pixels. Paths are transformed as
+   they are built (arcs become Bézier curves), as on a canvas;
+   clip() opens a clipped group that the matching restore()
+   closes. Text keeps the canvas font string.
+---------------------------------------------------------- */
+const SVG_STATE = ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha',
+                   'font', 'textAlign', 'textBaseline', 'dash', 'm', 'clips'];
+const SVG_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_BASELINE = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge',
+                       alphabetic: 'alphabetic', ideographic: 'ideographic' };
+
+class SvgContext {
+    constructor(width, height) {
+        this.width = width; this.height = height;
+        this.body = []; this.defs = []; this.stack = [];
+        this.m = [1, 0, 0, 1, 0, 0];
+        this.path = ''; this.open = false;
+        this.fillStyle = '#000'; this.strokeStyle = '#000';
+        this.lineWidth = 1; this.lineCap = 'butt'; this.lineJoin = 'miter';
+        this.globalAlpha = 1; this.dash = [];
+        this.font = '10px sans-serif'; this.textAlign = 'start'; this.textBaseline = 'alphabetic';
+        this.clips = 0;  // Clipped groups opened since the last save()
+    }
+
+    save() {
+        const st = {};
+        SVG_STATE.forEach(k => { st[k] = k === 'm' || k === 'dash' ? this[k].slice() : this[k]; });
+        this.stack.push(st);
+        this.clips = 0;
+    }
+
+    restore() {
+        for (; this.clips > 0; this.clips--) this.body.push('</g>');
+        const st = this.stack.pop();
+        if (st) Object.assign(this, st);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [A, B, C, D, E, F] = this.m;
+        this.m = [A * a + C * b, B * a + D * b, A * c + C * d, B * c + D * d, A * e + C * f + E, B * e + D * f + F];
+    }
+    setTransform(a, b, c, d, e, f) { this.m = [a, b, c, d, e, f]; }
+    translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+    scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+    rotate(a) { this.transform(Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0); }
+    setLineDash(d) { this.dash = d.slice(); }
+    getLineDash() { return this.dash.slice(); }
+
+    // A local point in page coordinates, as path text
+    _pt(x, y) {
+        const [a, b, c, d, e, f] = this.m;
+        return (a * x + c * y + e).toFixed(2) + ' ' + (b * x + d * y + f).toFixed(2);
+    }
+
+    beginPath() { this.path = ''; this.open = false; }
+    moveTo(x, y) { this.path += 'M' + this._pt(x, y); this.open = true; }
+    lineTo(x, y) { this.path += (this.open ? 'L' : 'M') + this._pt(x, y); this.open = true; }
+    quadraticCurveTo(cx, cy, x, y) { this.path += 'Q' + this._pt(cx, cy) + ' ' + this._pt(x, y); }
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) { this.path += 'C' + this._pt(c1x, c1y) + ' ' + this._pt(c2x, c2y) + ' ' + this._pt(x, y); }
+    closePath() { this.path += 'Z'; }
+    rect(x, y, w, h) { this.moveTo(x, y); this.lineTo(x + w, y); this.lineTo(x + w, y + h); this.lineTo(x, y + h); this.closePath(); }
+    arc(x, y, r, a0, a1, ccw = false) { this.ellipse(x, y, r, r, 0, a0, a1, ccw); }
+
+    // In quarter turns or less, each a cubic Bézier
+    ellipse(x, y, rx, ry, rot, a0, a1, ccw = false) {
+        const TAU = Math.PI * 2;
+        let sweep = ccw ? a0 - a1 : a1 - a0;
+        sweep = sweep >= TAU ? TAU : ((sweep % TAU) + TAU) % TAU;
+        const dir = ccw ? -1 : 1;
+        const cr = Math.cos(rot), sr = Math.sin(rot);
+        const at = t => [x + rx * Math.cos(t) * cr - ry * Math.sin(t) * sr, y + rx * Math.cos(t) * sr + ry * Math.sin(t) * cr];
+        const tangent = t => [-rx * Math.sin(t) * cr - ry * Math.cos(t) * sr, -rx * Math.sin(t) * sr + ry * Math.cos(t) * cr];
+        const [sx, sy] = at(a0);
+        this.lineTo(sx, sy);
+        const n = Math.ceil(sweep / (Math.PI / 2) - 1e-9);
+        const step = sweep / (n || 1) * dir, k = 4 / 3 * Math.tan(step / 4);
+        for (let i = 0; i < n; i++) {
+            const t0 = a0 + i * step, t1 = t0 + step;
+            const [x0, y0] = at(t0), [x1, y1] = at(t1), [dx0, dy0] = tangent(t0), [dx1, dy1] = tangent(t1);
+            this.bezierCurveTo(x0 + k * dx0, y0 + k * dy0, x1 - k * dx1, y1 - k * dy1, x1, y1);
+        }
+    }
+
+    createLinearGradient(x0, y0, x1, y1) { return this._gradient('linearGradient', { x1: x0, y1: y0, x2: x1, y2: y1 }); }
+    createRadialGradient(x0, y0, r0, x1, y1, r1) { return this._gradient('radialGradient', { fx: x0, fy: y0, fr: r0, cx: x1, cy: y1, r: r1 }); }
+    _gradient(tag, attrs) {
+        return { tag, attrs, stops: [], addColorStop(offset, color) { this.stops.push({ offset, color }); } };
+    }
+
+    // Paint attributes for a colour or gradient: [paint, opacity]
+    _paint(style) {
+        if (typeof style !== 'string') {
+            const id = 'g' + this.defs.length;
+            const attrs = Object.entries(style.attrs).map(([k, v]) => k + '="' + +v.toFixed(2) + '"').join(' ');
+            const stops = style.stops.map(s => {
+                const [c, o] = svgColor(s.color);
+                return '<stop offset="' + s.offset + '" stop-color="' + c + '" stop-opacity="' + +o.toFixed(3) + '"/>';
+            }).join('');
+            this.defs.push('<' + style.tag + ' id="' + id + '" gradientUnits="userSpaceOnUse" gradientTransform="matrix(' +
+                           this.m.join(' ') + ')" ' + attrs + '>' + stops + '</' + style.tag + '>');
+            return ['url(#' + id + ')', this.globalAlpha];
+        }
+        const [c, o] = svgColor(style);
+        return [c, o * this.globalAlpha];
+    }
+
+    fill() {
+        if (!this.path) return;
+        const [c, o] = this._paint(this.fillStyle);
+        this.body.push('<path d="' + this.path + '" fill="' + c + '"' + (o < 1 ? ' fill-opacity="' + +o.toFixed(3) + '"' : '') + '/>');
+    }
+
+    stroke() {
+        if (!this.path) return;
+        const [c, o] = this._paint(this.strokeStyle);
+        const s = Math.sqrt(Math.abs(this.m[0] * this.m[3] - this.m[1] * this.m[2]));
+        this.body.push('<path d="' + this.path + '" fill="none" stroke="' + c + '"' + (o < 1 ? ' stroke-opacity="' + +o.toFixed(3) + '"' : '') +
+                       ' stroke-width="' + +(this.lineWidth * s).toFixed(3) + '" stroke-linecap="' + this.lineCap + '" stroke-linejoin="' + this.lineJoin + '"' +
+                       (this.dash.length ? ' stroke-dasharray="' + this.dash.map(d => +(d * s).toFixed(2)).join(' ') + '"' : '') + '/>');
+    }
+
+    fillRect(x, y, w, h) { const p = this.path; this.beginPath(); this.rect(x, y, w, h); this.fill(); this.path = p; }
+    strokeRect(x, y, w, h) { const p = this.path; this.beginPath(); this.rect(x, y, w, h); this.stroke(); this.path = p; }
+    clearRect() {}
+
+    clip() {
+        const id = 'c' + this.defs.length;
+        this.defs.push('<clipPath id="' + id + '"><path d="' + this.path + '"/></clipPath>');
+        this.body.push('<g clip-path="url(#' + id + ')">');
+        this.clips++;
+    }
+
+    fillText(text, x, y) {
+        const [c, o] = this._paint(this.fillStyle);
+        const [a, b, cc, d] = this.m, [px, py] = this._pt(x, y).split(' ');
+        this.body.push('<text transform="matrix(' + [a, b, cc, d].map(v => +v.toFixed(5)).join(' ') + ' ' + px + ' ' + py + ')" style="font: ' +
+                       this.font + '" text-anchor="' + (SVG_ANCHOR[this.textAlign] || 'start') + '" dominant-baseline="' +
+                       (SVG_BASELINE[this.textBaseline] || 'alphabetic') + '" fill="' + c + '"' + (o < 1 ? ' fill-opacity="' + +o.toFixed(3) + '"' : '') + '>' +
+                       String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;') + '</text>');
+    }
+
+    measureText(text) {
+        return { width: String(text).length * (parseFloat(this.font.match(/([\d.]+)px/)?.[1]) || 10) * 0.55 };
+    }
+
+    toString() {
+        const close = '</g>'.repeat(this.clips + this.stack.reduce((n, st) => n + st.clips, 0));
+        return '<svg xmlns="http://www.w3.org/2000/svg" width="' + this.width + '" height="' + this.height +
+               '" viewBox="0 0 ' + this.width + ' ' + this.height + '">\n<defs>' + this.defs.join('') + '</defs>\n' +
+               this.body.join('\n') + close + '\n</svg>\n';
+    }
+}
+
+// A canvas colour as an SVG colour and opacity ('rgba(…)' and '#rrggbbaa' split)
+function svgColor(color) {
+    const rgba = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+    if (rgba) return ['rgb(' + rgba[1] + ',' + rgba[2] + ',' + rgba[3] + ')', parseFloat(rgba[4])];
+    if (/^#[0-9a-f]{8}$/i.test(color)) return [color.slice(0, 7), parseInt(color.slice(7), 16) / 255];
+    return [color, 1];
+}
+
+/* ----------------------------------------------------------
+   Animated GIF encoder. Frames are RGBA pixel data, mapped to a
+   fixed 6×7×6 colour cube (no per-frame palette to build), LZW
+   compressed and looped forever.
+---------------------------------------------------------- */
+function createGifEncoder(width, height, delay) {
+    const bytes = [];
+    const u16 = v => bytes.push(v & 0xff, (v >> 8) & 0xff);
+    const ascii = t => { for (const ch of t) bytes.push(ch.charCodeAt(0)); };
+
+    ascii('GIF89a'); u16(width); u16(height);
+    bytes.push(0xf7, 0, 0);  // 256-colour global table
+    for (let i = 0; i < 256; i++) {
+        const r = Math.floor(i / 42), g = Math.floor(i / 6) % 7, b = i % 6;
+        if (i < 252) bytes.push(Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5));
+        else bytes.push(0, 0, 0);
+    }
+    bytes.push(0x21, 0xff, 0x0b); ascii('NETSCAPE2.0'); bytes.push(0x03, 0x01, 0, 0, 0);  // Loop forever
+
+    const indices = new Uint8Array(width * height);
+    return {
+        addFrame(rgba) {
+            for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+                indices[i] = Math.round(rgba[p] * 5 / 255) * 42 + Math.round(rgba[p + 1] * 6 / 255) * 6 + Math.round(rgba[p + 2] * 5 / 255);
+            }
+            bytes.push(0x21, 0xf9, 0x04, 0); u16(delay); bytes.push(0, 0);
+            bytes.push(0x2c); u16(0); u16(0); u16(width); u16(height); bytes.push(0);
+            bytes.push(8);
+            const data = lzwEncode(indices, 8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                bytes.push(block.length);
+                for (const v of block) bytes.push(v);
+            }
+            bytes.push(0);
+        },
+        finish() {
+            bytes.push(0x3b);
+            return new Uint8Array(bytes);
+        },
+    };
+}
+
+// GIF-flavoured LZW: variable code size up to 12 bits, clear when full
+function lzwEncode(indices, minCodeSize) {
+    const clear = 1 << minCodeSize, eoi = clear + 1;
+    const out = [];
+    let acc = 0, bits = 0;
+    let size = minCodeSize + 1, next = eoi + 1, table = new Map();
+    const emit = code => {
+        acc |= code << bits; bits += size;
+        while (bits >= 8) { out.push(acc & 0xff); acc >>>= 8; bits -= 8; }
+    };
+    emit(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i], key = prefix << 8 | k;
+        const code = table.get(key);
+        if (code !== undefined) { prefix = code; continue; }
+        emit(prefix);
+        if (next === 4096) {
+            emit(clear);
+            size = minCodeSize + 1; next = eoi + 1; table = new Map();
+        } else {
+            if (next >= 1 << size) size++;
+            table.set(key, next++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoi);
+    if (bits > 0) out.push(acc & 0xff);
+    return Uint8Array.from(out);
+}
+
+/* ============================================================
+   TRIALS — One stored record per experiment run
+   Trials with identical conditions form a replicate group.
+   Ticked trials are overlaid on the chart and listed in the
+   table; clicking a name shows its hypothesis and log.
+   ============================================================ */
+function createTrial() {
+    const control = App.comparePlant ? conditionsLabel(controlConditions()) : null;
+    const params = {
+        variety: App.variety, gravity: App.gravity, light: lightsLabel(App.lights),
+        clinostat: clinostatLabel(), seed: App.seed, control,
+        protocol: protocolLabel(App.protocol),
+        model: App.growthModel,
+        statoliths: App.statoliths,
+        resources: App.resources,
+        chamber: chamberLabel(normalizeChamber(App.chamber)),
+        tipMovement: App.tipMovement,
+    };
+    const group = [params.variety, params.gravity, params.light, params.clinostat, control, params.protocol,
+                   params.model, params.statoliths, params.resources, params.chamber,
+                   params.tipMovement].join('|');
+    const replicate = App.trials.filter(t => t.group === group).length + 1;
+    const trial = {
+        id: App.nextTrialId++,
+        name: VARIETIES[App.variety].label + ' ' + App.gravity + ' g · R' + replicate,
+        group,
+        groupLabel: VARIETIES[App.variety].label + ' · ' + conditionsLabel(experimentConditions()) +
+                    (control ? ' · control ' + control : '') +
+                    (params.protocol ? ' · protocol ' + params.protocol : '') +
+                    (params.model === 'auxin' ? ' · auxin model' : '') +
+                    (params.statoliths ? ' · statoliths' : '') +
+                    (params.resources ? ' · carbon budget' : '') +
+                    (params.chamber !== 'open' ? ' · ' + params.chamber : '') +
+                    (params.tipMovement === 'nutation' ? ' · circumnutation' : ''),
+        params,
+        hypothesis: el('predictionText').value.trim(),
+        log: [],
+        points: [],
+        controlPoints: [],
+        events: [],
+        overlay: true,
+        status: 'running',
+        created: new Date().toISOString(),
+    };
+    App.trials.push(trial);
+    App.activeTrialId = trial.id;
+    renderTrialList();
+    return trial;
+}
+
+function activeTrial() {
+    return App.trials.find(t => t.id === App.activeTrialId) || null;
+}
+
+function overlayTrials() {
+    return App.trials.filter(t => t.overlay);
+}
+
+function renameTrial(id) {
+    const trial = App.trials.find(t => t.id === id);
+    if (!trial) return;
+    const name = prompt('Rename trial:', trial.name);
+    if (name === null || !name.trim()) return;
+    trial.name = name.trim();
+    renderTrialList(); updateTable(); drawChart();
+}
+
+function deleteTrial(id) {
+    const trial = App.trials.find(t => t.id === id);
+    if (!trial) return;
+    if (id === App.activeTrialId && App.isRunning) {
+        alert('Pause or reset the running experiment before deleting its trial.');
+        return;
+    }
+    if (!confirm('Delete trial "' + trial.name + '" and its data?')) return;
+    App.trials = App.trials.filter(t => t.id !== id);
+    if (App.activeTrialId === id) App.activeTrialId = null;
+    if (App.detailTrialId === id) App.detailTrialId = null;
+    renderTrialList(); updateTable(); drawChart();
+}
+
+function renderTrialList() {
+    const list = el('trialList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!App.trials.length) {
+        list.innerHTML = '<p class="empty-table">No trials yet.</p>';
+        renderTrialDetails();
+        return;
+    }
+
+    const groups = new Map();
+    for (const t of App.trials) {
+        if (!groups.has(t.group)) groups.set(t.group, []);
+        groups.get(t.group).push(t);
+    }
+
+    for (const trials of groups.values()) {
+        const box = document.createElement('div');
+        box.className = 'trial-group';
+        const head = document.createElement('div');
+        head.className = 'trial-group-header';
+        head.textContent = trials[0].groupLabel + '  ·  n = ' + trials.length;
+        box.appendChild(head);
+
+        for (const t of trials) {
+            const row = document.createElement('div');
+            row.className = 'trial-row' + (t.id === App.detailTrialId ? ' selected' : '');
+
+            const check = document.createElement('input');
+            check.type = 'checkbox'; check.checked = t.overlay;
+            check.title = 'Overlay on chart';
+            check.addEventListener('change', () => { t.overlay = check.checked; updateTable(); drawChart(); });
+
+            const name = document.createElement('button');
+            name.className = 'trial-name'; name.textContent = t.name;
+            name.addEventListener('click', () => {
+                App.detailTrialId = App.detailTrialId === t.id ? null : t.id;
+                renderTrialList();
+            });
+
+            const meta = document.createElement('span');
+            meta.className = 'trial-meta';
+            meta.textContent = 'seed ' + t.params.seed + ' · ' + t.points.length + ' pts · ' + t.status;
+
+            const rename = document.createElement('button');
+            rename.className = 'btn btn-small'; rename.textContent = 'Rename';
+            rename.addEventListener('click', () => renameTrial(t.id));
+
+            const del = document.createElement('button');
+            del.className = 'btn btn-small btn-secondary'; del.textContent = 'Delete';
+            del.addEventListener('click', () => deleteTrial(t.id));
+
+            row.append(check, name, meta, rename, del);
+            box.appendChild(row);
         }
-        ctx.setLineDash([]);
+        list.appendChild(box);
     }
+    renderTrialDetails();
+}
 
-    const lx = W - m.right - 140, ly = m.top + 14;
-    let lyOffset = 0;
+function renderTrialDetails() {
+    const box = el('trialDetails');
+    if (!box) return;
+    const t = App.trials.find(tr => tr.id === App.detailTrialId);
+    box.classList.toggle('hidden', !t);
+    box.innerHTML = '';
+    if (!t) return;
+
+    const add = (tag, text, cls) => {
+        const e = document.createElement(tag);
+        e.textContent = text;
+        if (cls) e.className = cls;
+        box.appendChild(e);
+        return e;
+    };
+    add('h4', t.name);
+    add('p', t.groupLabel + ' · seed ' + t.params.seed + ' · started ' + new Date(t.created).toLocaleString(), 'trial-meta');
+    add('h5', 'Hypothesis');
+    add('p', t.hypothesis || '(none written)');
+    add('h5', 'Observation log');
+    if (!t.log.length) add('p', '(empty)', 'trial-meta');
+    t.log.forEach(entry => add('p', '[' + entry.sim + '] ' + entry.msg, 'observation-entry'));
+}
 
-    if (App.chartToggles.stemLength) {
-        ctx.fillStyle = '#228B22'; ctx.fillRect(lx, ly + lyOffset, 18, 3);
-        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
-        ctx.font = '11px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
-        ctx.fillText('Stem length', lx + 24, ly + lyOffset + 1); lyOffset += 16;
+/* Single entry point for gravity changes so the preset buttons,
+   slider and readout never disagree. */
+function setGravity(g) {
+    App.gravity = Math.round(Math.max(0, Math.min(GRAVITY_MAX, g)) * 100) / 100;
+    document.querySelectorAll('.gravity-btn').forEach(b =>
+        b.classList.toggle('active', parseFloat(b.dataset.gravity) === App.gravity)
+    );
+    const slider = el('gravitySlider');
+    if (slider) slider.value = App.gravity;
+    setVal('gravityVal', gravityLabel(App.gravity));
+    suggestControl();
+    renderCanvas();
+}
+
+/* ============================================================
+   VARIETIES — Cards and editor
+   Cards are built from the VARIETIES registry. The editor works
+   on the registry entry itself, so every valid change shows at
+   once in a 48 h preview plant; Cancel puts the entry back.
+   Saved and imported varieties (and retuned built-ins) are kept
+   in localStorage as a variety file (see model.js).
+   ============================================================ */
+const VARIETY_STORAGE_KEY = 'plantVarieties';
+const PREVIEW_HOURS = 48;  // Past the first true leaf
+
+function loadSavedVarieties() {
+    const text = localStorage.getItem(VARIETY_STORAGE_KEY);
+    if (!text) return;
+    try {
+        Object.entries(parseVarietyFile(text)).forEach(([id, v]) => { VARIETIES[id] = v; });
+    } catch (err) {
+        // Set the damaged copy aside, so it is reported once and can still be recovered
+        localStorage.setItem(VARIETY_STORAGE_KEY + '.corrupt', text);
+        localStorage.removeItem(VARIETY_STORAGE_KEY);
+        showVarietyMessage('Your saved varieties could not be read and were set aside as "' +
+                           VARIETY_STORAGE_KEY + '.corrupt" in this browser\'s storage:\n' + err.message, true);
     }
+}
 
-    if (App.chartToggles.rootDepth) {
-        ctx.fillStyle = '#8B4513'; ctx.fillRect(lx, ly + lyOffset, 18, 3);
-        ctx.fillStyle = isDark ? '#e2e8f0' : '#1e293b';
-        ctx.fillText('Root depth', lx + 24, ly + lyOffset + 1); lyOffset += 16;
+// Custom varieties and built-ins that differ from their defaults
+function changedVarietyIds() {
+    return Object.keys(VARIETIES).filter(id =>
+        !isBuiltinVariety(id) || JSON.stringify(VARIETIES[id]) !== JSON.stringify(BUILTIN_VARIETIES[id]));
+}
+
+function saveVarieties() {
+    const ids = changedVarietyIds();
+    if (ids.length) localStorage.setItem(VARIETY_STORAGE_KEY, varietyFile(ids));
+    else localStorage.removeItem(VARIETY_STORAGE_KEY);
+}
+
+function renderVarietyCards() {
+    const box = el('plantCards');
+    if (!box) return;
+    if (!VARIETIES[App.variety]) App.variety = 'cress';
+    box.innerHTML = '';
+    for (const [id, v] of Object.entries(VARIETIES)) {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'plant-card' + (id === App.variety ? ' active' : '');
+        card.dataset.variety = id;
+        card.disabled = !!App.plant || (!!App.varietyEdit && App.varietyEdit.id !== id);
+        const name = document.createElement('div');
+        name.className = 'plant-card-name'; name.textContent = v.label;
+        const desc = document.createElement('div');
+        desc.className = 'plant-card-desc'; desc.textContent = v.desc;
+        card.append(name, desc);
+        card.addEventListener('click', () => {
+            if (App.variety === id) return;
+            App.variety = id;
+            renderVarietyCards();
+            renderCanvas();
+            logObs('Plant variety changed to: ' + v.label);
+        });
+        box.appendChild(card);
+    }
+}
+
+function showVarietyMessage(text, isError = false) {
+    const box = el('varietyMessage');
+    box.textContent = text;
+    box.classList.toggle('error', isError);
+    box.classList.toggle('hidden', !text);
+}
+
+function openVarietyEditor(id, isNew = false) {
+    App.varietyEdit = { id, isNew, snapshot: { ...VARIETIES[id] } };
+    App.variety = id;
+    showVarietyMessage('');
+    const box = el('varietyFields');
+    box.innerHTML = '';
+    for (const [key, f] of Object.entries(VARIETY_FIELDS)) {
+        const label = document.createElement('label');
+        label.textContent = f.label;
+        label.htmlFor = 'variety-' + key;
+        let input;
+        if (f.type === 'select') {
+            input = document.createElement('select');
+            input.className = 'control-select';
+            f.options.forEach(o => input.add(new Option(o, o)));
+        } else {
+            input = document.createElement('input');
+            input.type = f.type;
+            input.className = 'field-input';
+            if (f.type === 'number') Object.assign(input, { min: f.min, max: f.max, step: f.step });
+        }
+        input.id = 'variety-' + key;
+        input.value = VARIETIES[id][key];
+        input.addEventListener(f.type === 'select' || f.type === 'color' ? 'change' : 'input', () => editVarietyField(key, input));
+        box.append(label, input);
     }
+    el('deleteVariety').textContent = isBuiltinVariety(id) ? 'Restore default' : 'Delete';
+    el('deleteVariety').disabled = isNew;
+    el('varietyEditor').classList.remove('hidden');
+    renderVarietyCards();
+    growPreview();
+}
 
-    if (hasCompare) {
-        ctx.fillStyle = isDark ? '#64748b' : '#94a3b8';
-        ctx.font = '10px system-ui';
-        ctx.fillText('(dashed = Earth)', lx, ly + lyOffset + 8);
+// Apply one field if the variety stays valid, else flag the input
+function editVarietyField(key, input) {
+    const { id } = App.varietyEdit;
+    const value = VARIETY_FIELDS[key].type === 'number' ? parseFloat(input.value) : input.value;
+    try {
+        registerVariety(id, { ...VARIETIES[id], [key]: value });
+        input.classList.remove('invalid');
+        showVarietyMessage('');
+        renderVarietyCards();
+        growPreview();
+    } catch (err) {
+        input.classList.add('invalid');
+        showVarietyMessage(err.message.replace(/^Variety "[^"]*": /, ''), true);
     }
 }
 
-function startExperiment() {
-    if (App.isRunning) return;
+function closeVarietyEditor() {
+    App.varietyEdit = null;
+    App.previewPlant = null;
+    el('varietyEditor').classList.add('hidden');
+    renderVarietyCards();
+    renderCanvas();
+}
 
+// Grow the edited variety to 48 h after its first true leaf under the current gravity and light
+function growPreview() {
+    if (App.plant || !App.varietyEdit) return;
+    const plant = new Plant(App.varietyEdit.id, App.gravity, App.lights, 1);
+    const steps = (VARIETIES[App.varietyEdit.id].trueLeavesAt + PREVIEW_HOURS) * 60 / STEP_MINUTES;
+    for (let i = 0; i < steps && !plant.isFinished(); i++) plant.update();
+    App.previewPlant = plant;
     App.camera = { scale: 1, targetScale: 1, panY: 0, targetPanY: 0 };
-    App.plant = new Plant(App.variety, App.gravity, App.lightDir);
-    App.isRunning = true;
-    App.isComplete = false;
-    App.startTime = Date.now() - App.elapsedMs;
+    renderCanvas();
+}
 
-    el('predictionText').disabled = true;
+function newVariety() {
+    const name = prompt('Name for the new variety (starts as a copy of ' + VARIETIES[App.variety].label + '):', '');
+    if (!name || !name.trim()) return;
+    const stem = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '') || 'variety';
+    let id = stem.slice(0, 28);
+    for (let n = 2; VARIETIES[id]; n++) id = stem.slice(0, 28) + '-' + n;
+    registerVariety(id, { ...VARIETIES[App.variety], label: name.trim(), desc: 'Custom variety' });
+    openVarietyEditor(id, true);
+}
 
-    if (App.compareMode && App.gravity !== 1) {
-        App.comparePlant = new Plant(App.variety, 1, App.lightDir);
-    } else {
-        App.comparePlant = null; App.compareData = [];
+function saveEditedVariety() {
+    const { id } = App.varietyEdit;
+    saveVarieties();
+    closeVarietyEditor();
+    logObs('Variety saved: ' + VARIETIES[id].label);
+}
+
+function cancelVarietyEdit() {
+    const { id, isNew, snapshot } = App.varietyEdit;
+    if (isNew) removeVariety(id);
+    else VARIETIES[id] = snapshot;
+    showVarietyMessage('');
+    closeVarietyEditor();
+}
+
+function deleteEditedVariety() {
+    const { id } = App.varietyEdit;
+    const label = App.varietyEdit.snapshot.label;
+    const builtin = isBuiltinVariety(id);
+    if (!confirm(builtin ? 'Restore ' + label + ' to its default settings?' : 'Delete the variety ' + label + '?')) return;
+    removeVariety(id);
+    saveVarieties();
+    closeVarietyEditor();
+    logObs(builtin ? 'Variety restored to defaults: ' + label : 'Variety deleted: ' + label);
+}
+
+async function importVarieties(file) {
+    let found;
+    try {
+        found = parseVarietyFile(await file.text());
+    } catch (err) {
+        showVarietyMessage('Could not import ' + file.name + ':\n' + err.message, true);
+        return;
     }
+    Object.entries(found).forEach(([id, v]) => { VARIETIES[id] = v; });
+    saveVarieties();
+    renderVarietyCards();
+    const names = Object.values(found).map(v => v.label).join(', ');
+    const n = Object.keys(found).length;
+    showVarietyMessage('Imported ' + n + (n === 1 ? ' variety' : ' varieties') + ' from ' + file.name + ': ' + names);
+    logObs('Varieties imported: ' + names);
+}
 
-    el('startExperiment').disabled = true;
-    el('stopExperiment').disabled = false;
-    document.querySelectorAll('.plant-card').forEach(c => c.disabled = true);
-    document.querySelectorAll('.gravity-btn').forEach(b => b.disabled = true);
+function exportVarieties() {
+    downloadBlob(new Blob([varietyFile()], { type: 'application/json' }), 'plant-varieties.json');
+}
 
-    logObs('Experiment started — ' + VARIETIES[App.variety].label + ', ' + (App.gravity === 1 ? 'Earth (1g)' : 'Microgravity (0g)'));
-    animate();
+function setVarietyToolsDisabled(disabled) {
+    ['editVariety', 'newVariety', 'importVarieties'].forEach(id => { el(id).disabled = disabled; });
+    renderVarietyCards();
 }
 
-function stopExperiment() {
-    App.isRunning = false;
-    el('startExperiment').disabled = false;
-    el('stopExperiment').disabled = true;
-    logObs('Paused at ' + fmtTime(App.elapsedMs));
-    recordPoint();
+/* ============================================================
+   LIGHT SOURCES — App.lights is a list of { angle, intensity,
+   spectrum } (see model.js). The direction buttons are presets
+   for a single white lamp; the list below them edits each
+   source, and suns can be dragged on the canvas.
+   ============================================================ */
+function setLights(lights) {
+    App.lights = lights.map(l => ({ ...l }));
+    renderLightList();
+    renderCanvas();
 }
 
-function resetExperiment() {
-    App.isRunning = false; App.isComplete = false;
-    cancelAnimationFrame(App.animId);
-    App.elapsedMs = 0; App.plant = null; App.comparePlant = null;
-    App.camera = { scale: 1, targetScale: 1, panY: 0, targetPanY: 0 };
-    App.zoom = { level: 1, targetLevel: 1 };
+// Log a mid-run change to the light set and mark it on the chart
+function lightsChanged() {
+    if (!App.isRunning) return;
+    logObs('Light changed to: ' + lightsLabel(App.lights));
+    markEvent('light ' + lightsLabel(App.lights));
+}
 
-    el('predictionText').disabled = false;
+function renderLightList() {
+    const label = lightsLabel(App.lights);
+    document.querySelectorAll('.light-btn').forEach(b => b.classList.toggle('active', b.dataset.direction === label));
 
-    el('startExperiment').disabled = false;
-    el('stopExperiment').disabled = true;
-    document.querySelectorAll('.plant-card').forEach(c => c.disabled = false);
-    document.querySelectorAll('.gravity-btn').forEach(b => b.disabled = false);
-    el('elapsedTime').textContent = '0:00';
+    const list = el('lightList');
+    if (!list) return;
+    // While dragging only the angle changes; keep the inputs alive
+    if (App.dragLight && list.children.length === App.lights.length) {
+        list.querySelectorAll('.light-angle').forEach((input, i) => { input.value = App.lights[i].angle; });
+        return;
+    }
+    list.innerHTML = '';
+    App.lights.forEach((light, i) => {
+        const row = document.createElement('div');
+        row.className = 'light-row';
+        row.style.borderLeftColor = LIGHT_SPECTRA[light.spectrum].color;
+
+        const angle = document.createElement('input');
+        angle.type = 'number'; angle.step = 5; angle.value = light.angle;
+        angle.className = 'field-input light-angle';
+        angle.title = 'Angle (° clockwise from top)';
+        angle.addEventListener('change', () => {
+            const a = parseFloat(angle.value);
+            if (Number.isFinite(a)) light.angle = ((Math.round(a) % 360) + 360) % 360;
+            angle.value = light.angle;
+            renderLightList(); renderCanvas(); lightsChanged();
+        });
 
-    setVal('stemLengthVal', '0 mm');
-    setVal('rootDepthVal', '0 mm');
-    setVal('branchCountVal', '0');
-    setVal('growthPhaseVal', 'Germination');
-    setVal('tropismVal', '—');
-    setVal('zoomVal', '100%');
+        const intensity = document.createElement('input');
+        intensity.type = 'range'; intensity.min = 0; intensity.max = 100; intensity.step = 5;
+        intensity.value = Math.round(light.intensity * 100);
+        intensity.title = 'Intensity';
+        intensity.setAttribute('aria-label', 'Intensity');
+        intensity.addEventListener('input', () => {
+            light.intensity = parseInt(intensity.value, 10) / 100;
+            pct.textContent = intensity.value + '%';
+            renderCanvas();
+        });
+        intensity.addEventListener('change', () => { renderLightList(); lightsChanged(); });
+        const pct = document.createElement('span');
+        pct.className = 'light-pct';
+        pct.textContent = intensity.value + '%';
+
+        const spectrum = document.createElement('select');
+        spectrum.className = 'control-select';
+        Object.entries(LIGHT_SPECTRA).forEach(([k, sp]) => spectrum.add(new Option(sp.label, k)));
+        spectrum.value = light.spectrum;
+        spectrum.addEventListener('change', () => {
+            light.spectrum = spectrum.value;
+            renderLightList(); renderCanvas(); lightsChanged();
+        });
 
-    el('statusMessage').textContent = '';
-    el('statusMessage').className = 'status-message';
+        const del = document.createElement('button');
+        del.className = 'btn btn-small btn-secondary'; del.textContent = '×';
+        del.title = 'Remove light';
+        del.addEventListener('click', () => {
+            App.lights.splice(i, 1);
+            renderLightList(); renderCanvas(); lightsChanged();
+        });
 
-    logObs('Experiment reset.');
+        const deg = document.createElement('span');
+        deg.textContent = '°';
+        row.append(angle, deg, spectrum, del, intensity, pct);
+        list.appendChild(row);
+    });
+}
+
+function setClinostatMode(mode, rpm = CLINOSTAT_MODES[mode].rpm) {
+    App.clinostat.mode = mode;
+    App.clinostat.rpm = rpm;
+    el('clinostatMode').value = mode;
+    el('clinostatRpm').value = rpm;
+    el('clinostatRpm').disabled = mode === 'off' || App.isRunning;
     renderCanvas();
 }
 
-function animate() {
-    if (!App.isRunning) return;
+function experimentConditions() {
+    return { gravity: App.gravity, lights: App.lights, clinostat: App.clinostat };
+}
 
-    App.elapsedMs = Date.now() - App.startTime;
-    el('elapsedTime').textContent = fmtTime(App.elapsedMs);
+// Control light may follow the experiment's (including mid-run changes)
+function controlConditions() {
+    const c = App.control;
+    return { gravity: c.gravity, lights: c.light === 'match' ? App.lights : lightsFromDir(c.light), clinostat: c.clinostat };
+}
 
-    if (App.plant) {
-        App.plant.update(App.gravity, App.lightDir);
-        updateLiveData();
+function conditionsLabel(cond) {
+    return gravityLabel(cond.gravity) + ', light ' + lightsLabel(cond.lights) + ', ' + clinostatLabel(cond.clinostat);
+}
 
-        if (!App.isComplete && App.plant.isFullyGrown()) {
-            App.isComplete = true; App.isRunning = false;
-            el('startExperiment').disabled = true;
-            el('stopExperiment').disabled = true;
-            const msg = el('statusMessage');
-            msg.textContent = 'Growth Complete';
-            msg.className = 'status-message complete';
-            logObs('Plant reached maturity. Growth complete.');
-            recordPoint();
-        }
+/* Until the student picks a control gravity themselves, keep the
+   control at the "other" condition: Earth for any reduced-g
+   experiment, microgravity for an Earth experiment. Mid-run
+   gravity changes (protocols) leave the control alone. */
+function suggestControl() {
+    if (!App.control.auto || App.plant) return;
+    App.control.gravity = App.gravity === 1 ? 0 : 1;
+    const input = el('controlGravity');
+    if (input) input.value = App.control.gravity;
+}
 
-        if (Math.floor(App.elapsedMs / 8000) > App.dataPoints.length && App.isRunning) {
-            recordPoint();
-        }
+function setControlInputsDisabled(disabled) {
+    ['compareToggle', 'controlGravity', 'controlLight', 'controlClinostat'].forEach(id => {
+        const e = el(id);
+        if (e) e.disabled = disabled;
+    });
+}
+
+function clinostatLabel(c = App.clinostat) {
+    return c.mode === 'off' ? 'Static' : CLINOSTAT_MODES[c.mode].label + ' ' + c.rpm + ' rpm';
+}
+
+/* ============================================================
+   PROTOCOL — Scheduled mid-run changes
+   The editor holds App.protocol as { at, action, value } steps
+   (see model.js). The clock applies each step once, at the start
+   of the growth step it falls in; each one is logged and marked
+   on the chart.
+   ============================================================ */
+const PROTOCOL_PRESETS = {
+    gravistimulation: [{ at: 12, action: 'rotate', value: 90 }],
+    lightSwitch: [{ at: 0, action: 'light', value: 'top' }, { at: 12, action: 'light', value: 'left' }],
+    launch: [{ at: 0, action: 'gravity', value: 1 }, { at: 12, action: 'gravity', value: 0 }],
+    clinostatAfterRotation: [{ at: 8, action: 'rotate', value: 90 }, { at: 10, action: 'clinostat', value: 'fast' }],
+};
+
+function runProtocol(minutes) {
+    while (App.protocolNext < App.protocol.length && App.protocol[App.protocolNext].at * 60 <= minutes) {
+        applyProtocolStep(App.protocol[App.protocolNext++]);
+        renderProtocol();
     }
+}
 
-    if (App.comparePlant) {
-        App.comparePlant.update(1, App.lightDir);
-        if (Math.floor(App.elapsedMs / 8000) > App.compareData.length && App.isRunning) {
-            recordComparePoint();
-        }
+function applyProtocolStep(st) {
+    if (st.action === 'gravity') setGravity(st.value);
+    else if (st.action === 'light') setLights(lightsFromDir(st.value));
+    else if (st.action === 'clinostat') setClinostatMode(st.value);
+    else if (st.action === 'rotate') App.plant.rotate(st.value);
+    logObs('Protocol — ' + protocolStepLabel(st));
+    markEvent(protocolStepLabel(st).replace(/^[\d.]+ h: /, ''));
+}
+
+// Note a condition change on the running trial's chart
+function markEvent(label) {
+    const trial = activeTrial();
+    if (trial) trial.events.push({ time: App.simMinutes / 60, label });
+}
+
+// Value input for a step: a select for named options, else a number
+function protocolValueInput(st) {
+    const options = st.action === 'light' ? LIGHT_DIRECTIONS
+                  : st.action === 'clinostat' ? Object.keys(CLINOSTAT_MODES) : null;
+    let input;
+    if (options) {
+        input = document.createElement('select');
+        options.forEach(o => input.add(new Option(st.action === 'clinostat' ? CLINOSTAT_MODES[o].label : o, o)));
+        if (!options.includes(st.value)) st.value = options[0];
+        input.value = st.value;
+        input.addEventListener('change', () => { st.value = input.value; });
+    } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.step = st.action === 'gravity' ? '0.01' : '15';
+        if (st.action === 'gravity') { input.min = 0; input.max = GRAVITY_MAX; }
+        if (typeof st.value !== 'number') st.value = st.action === 'gravity' ? 1 : 90;
+        input.value = st.value;
+        input.addEventListener('change', () => { st.value = parseFloat(input.value); });
     }
+    input.className = 'control-select protocol-value';
+    return input;
+}
 
-    renderCanvas();
-    if (App.isRunning) App.animId = requestAnimationFrame(animate);
+function renderProtocol() {
+    const list = el('protocolSteps');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!App.protocol.length) {
+        list.innerHTML = '<p class="control-hint">No steps — conditions stay fixed for the whole run.</p>';
+        return;
+    }
+    const locked = !!App.plant;
+    App.protocol.forEach((st, i) => {
+        const row = document.createElement('div');
+        row.className = 'protocol-row' +
+            (locked && i < App.protocolNext ? ' done' : '') +
+            (locked && i === App.protocolNext ? ' next' : '');
+
+        const at = document.createElement('input');
+        at.type = 'number'; at.min = 0; at.step = 0.5; at.value = st.at;
+        at.className = 'field-input protocol-at';
+        at.title = 'Time (hours)';
+        at.addEventListener('change', () => { st.at = Math.max(0, parseFloat(at.value) || 0); at.value = st.at; });
+
+        const action = document.createElement('select');
+        action.className = 'control-select protocol-action';
+        Object.entries(PROTOCOL_ACTIONS).forEach(([k, a]) => action.add(new Option(a.label, k)));
+        action.value = st.action;
+        action.addEventListener('change', () => { st.action = action.value; renderProtocol(); });
+
+        const del = document.createElement('button');
+        del.className = 'btn btn-small btn-secondary'; del.textContent = '×';
+        del.title = 'Remove step';
+        del.addEventListener('click', () => { App.protocol.splice(i, 1); renderProtocol(); });
+
+        const h = document.createElement('span');
+        h.textContent = 'h';
+        row.append(at, h, action, protocolValueInput(st), del);
+        row.querySelectorAll('input, select, button').forEach(c => { c.disabled = locked; });
+        list.appendChild(row);
+    });
 }
 
-function updateLiveData() {
-    if (!App.plant) return;
-    const stemLen = App.plant.shoot.totalLength().toFixed(1);
-    const rootDep = App.plant.root.totalLength().toFixed(1);
-    
-    // Count branches recursively
-    const countBranches = (seg) => {
-        let count = 0;
-        for (const child of seg.children) {
-            if (child.isBranch) count++;
-            count += countBranches(child);
-        }
-        return count;
+function setProtocolDisabled(disabled) {
+    ['addProtocolStep', 'protocolPreset'].forEach(id => { el(id).disabled = disabled; });
+    renderProtocol();
+}
+
+/* Use the seed typed by the student, or roll one and show it so the
+   run can be repeated later. "New seed each run" always rolls, for
+   replicates. */
+function resolveSeed() {
+    const input = el('seedInput');
+    const seed = el('autoSeed')?.checked ? null : parseSeed(input.value);
+    if (seed !== null) return seed;
+    const fresh = randomSeed();
+    input.value = fresh;
+    return fresh;
+}
+
+/* ============================================================
+   SESSIONS — Autosave, session files and share links
+   The whole experiment (setup, the plants mid-growth, trials,
+   hypothesis and observation log) is saved to IndexedDB a
+   moment after anything changes and restored, paused, when the
+   page loads. A session file is the same data as JSON. A share
+   link carries only the setup, in the query string, so whoever
+   opens it can grow the same plant.
+   ============================================================ */
+const SESSION_FORMAT = 'plant-session';
+const SESSION_DB = 'plantSessions';
+const SESSION_STORE = 'sessions';
+const SESSION_KEY = 'current';
+const SAVE_DELAY_MS = 1000;
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Runs fn(store) in a transaction and resolves with its request's result
+function sessionRequest(mode, fn) {
+    if (!App.session.db) {
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+        const open = indexedDB.open(SESSION_DB, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(SESSION_STORE);
+        App.session.db = idbRequest(open);
+    }
+    return App.session.db.then(db => idbRequest(fn(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE))));
+}
+
+// Save soon; however often this is called, at most once per SAVE_DELAY_MS
+function scheduleSave() {
+    if (!App.session.ready || App.session.timer) return;
+    App.session.timer = setTimeout(saveSession, SAVE_DELAY_MS);
+}
+
+async function saveSession() {
+    clearTimeout(App.session.timer);
+    App.session.timer = null;
+    if (!App.session.ready) return;
+    try {
+        const data = sessionData();
+        await sessionRequest('readwrite', store => store.put(data, SESSION_KEY));
+        App.session.failed = false;
+    } catch (err) {
+        // Report once: logging schedules another save, which would fail again
+        if (!App.session.failed) logObs('Autosave failed (' + err.message + '). Use "Save file" to keep a copy of this session.');
+        App.session.failed = true;
+    }
+}
+
+function sessionSetup() {
+    return {
+        variety: App.variety, gravity: App.gravity, lights: App.lights,
+        clinostat: { mode: App.clinostat.mode, rpm: App.clinostat.rpm },
+        model: App.growthModel, statoliths: App.statoliths, resources: App.resources,
+        chamber: App.chamber, tipMovement: App.tipMovement,
+        seed: el('seedInput').value, autoSeed: el('autoSeed').checked,
+        protocol: App.protocol,
+        compare: App.compareMode,
+        control: { gravity: App.control.gravity, light: App.control.light, auto: App.control.auto, clinostat: App.control.clinostat.mode },
     };
-    const branches = countBranches(App.plant.shoot);
-    
-    const ratio = App.plant.shoot.length / App.plant.shoot.targetLength;
-    const phase = ratio < 0.05 ? 'Germination'
-                : App.plant.shoot.totalLength() < 40 ? 'Early growth'
-                : App.plant.shoot.totalLength() < 120 ? 'Rapid growth'
-                : App.plant.shoot.totalLength() < 200 ? 'Maturation'
-                : 'Mature';
-    const tropism = App.gravity === 0
-        ? (App.lightDir !== 'none' ? 'Phototropism' : 'Undirected')
-        : (App.lightDir !== 'none' ? 'Grav. + Photo.' : 'Gravitropism');
-
-    setVal('stemLengthVal', stemLen + ' mm');
-    setVal('rootDepthVal', rootDep + ' mm');
-    setVal('branchCountVal', branches);
-    setVal('growthPhaseVal', phase);
-    setVal('tropismVal', tropism);
 }
 
-function recordPoint() {
-    if (!App.plant) return;
-    
-    // Count branches recursively
-    const countBranches = (seg) => {
-        let count = 0;
-        for (const child of seg.children) {
-            if (child.isBranch) count++;
-            count += countBranches(child);
+function sessionData() {
+    const clinostatRun = c => ({ sum: c.sum, samples: c.samples });
+    return JSON.parse(JSON.stringify({
+        format: SESSION_FORMAT, version: 1,
+        saved: new Date().toISOString(),
+        setup: sessionSetup(),
+        varieties: JSON.parse(varietyFile(changedVarietyIds())).varieties,
+        run: App.plant && {
+            plant: serializePlant(App.plant),
+            comparePlant: App.comparePlant && serializePlant(App.comparePlant),
+            seed: App.seed,
+            simMinutes: App.simMinutes,
+            nextSampleMin: App.nextSampleMin,
+            protocolNext: App.protocolNext,
+            protocolStart: App.protocolStart,
+            stagesLogged: App.stagesLogged,
+            complete: App.isComplete,
+            activeTrialId: App.activeTrialId,
+            clinostat: clinostatRun(App.clinostat),
+            controlClinostat: clinostatRun(App.control.clinostat),
+            history: App.history,
+            compareHistory: App.compareHistory,
+        },
+        trials: App.trials,
+        nextTrialId: App.nextTrialId,
+        measured: App.measured,
+        hypothesis: el('predictionText').value,
+        observations: [...document.querySelectorAll('#observationsLog .observation-entry:not(.initial)')].map(p => p.textContent),
+    }));
+}
+
+/* Throws on the first invalid field. Fields left out (as in most
+   share links) keep their current value. */
+function checkSetup(s) {
+    if (s.variety !== undefined && !VARIETIES[s.variety] && !s.varietySpec) throw new Error('Unknown variety "' + s.variety + '"');
+    if (s.gravity !== undefined && !(s.gravity >= 0 && s.gravity <= GRAVITY_MAX)) throw new Error('Gravity must be 0 – ' + GRAVITY_MAX + ' g');
+    if (s.lights !== undefined) normalizeLights(s.lights);
+    if (s.clinostat !== undefined) {
+        if (!CLINOSTAT_MODES[s.clinostat.mode]) throw new Error('Unknown clinostat mode "' + s.clinostat.mode + '"');
+        if (s.clinostat.rpm !== undefined && !(s.clinostat.rpm >= 0 && s.clinostat.rpm <= 120)) throw new Error('Clinostat speed must be 0 – 120 rpm');
+    }
+    if (s.model !== undefined && !GROWTH_MODELS[s.model]) throw new Error('Unknown growth model "' + s.model + '"');
+    if (s.tipMovement !== undefined && !TIP_MOVEMENTS[s.tipMovement]) throw new Error('Unknown tip movement "' + s.tipMovement + '"');
+    if (s.chamber !== undefined) normalizeChamber(s.chamber);
+    if (s.protocol !== undefined) validateProtocol(s.protocol);
+    if (s.control !== undefined) {
+        const c = s.control;
+        if (c.gravity !== undefined && !(c.gravity >= 0 && c.gravity <= GRAVITY_MAX)) throw new Error('Control gravity must be 0 – ' + GRAVITY_MAX + ' g');
+        if (c.light !== undefined && c.light !== 'match' && !LIGHT_DIRECTIONS.includes(c.light)) throw new Error('Unknown control light "' + c.light + '"');
+        if (c.clinostat !== undefined && !CLINOSTAT_MODES[c.clinostat]) throw new Error('Unknown control clinostat mode "' + c.clinostat + '"');
+    }
+}
+
+// Apply a checked setup and bring every control in line with it
+function applySetup(s) {
+    if (s.variety !== undefined) App.variety = s.variety;
+    if (s.control !== undefined) {
+        const c = s.control;
+        if (c.auto !== undefined) App.control.auto = c.auto;
+        if (c.gravity !== undefined) App.control.gravity = c.gravity;
+        if (c.light !== undefined) App.control.light = c.light;
+        if (c.clinostat !== undefined) Object.assign(App.control.clinostat, { mode: c.clinostat, rpm: CLINOSTAT_MODES[c.clinostat].rpm });
+    }
+    if (s.compare !== undefined) App.compareMode = !!s.compare;
+    if (s.model !== undefined) App.growthModel = s.model;
+    if (s.statoliths !== undefined) App.statoliths = !!s.statoliths;
+    if (s.resources !== undefined) App.resources = !!s.resources;
+    if (s.tipMovement !== undefined) App.tipMovement = s.tipMovement;
+    if (s.chamber !== undefined) {
+        const { preset = 'open', obstacles = [], moisture = null } = typeof s.chamber === 'string' ? { preset: s.chamber } : s.chamber;
+        App.chamber = { preset, obstacles: obstacles.map(o => ({ ...o })), moisture: moisture && { ...moisture } };
+    }
+    if (s.protocol !== undefined) App.protocol = validateProtocol(s.protocol).map(st => ({ ...st }));
+    if (s.seed !== undefined) el('seedInput').value = s.seed;
+    if (s.autoSeed !== undefined) el('autoSeed').checked = !!s.autoSeed;
+    if (s.lights !== undefined) setLights(normalizeLights(s.lights));
+    if (s.clinostat !== undefined) setClinostatMode(s.clinostat.mode, s.clinostat.rpm ?? CLINOSTAT_MODES[s.clinostat.mode].rpm);
+
+    el('compareToggle').checked = App.compareMode;
+    el('controlSettings').classList.toggle('hidden', !App.compareMode);
+    el('controlData').classList.toggle('hidden', !App.compareMode);
+    el('controlGravity').value = App.control.gravity;
+    el('controlLight').value = App.control.light;
+    el('controlClinostat').value = App.control.clinostat.mode;
+    el('growthModel').value = App.growthModel;
+    el('auxinOptions').classList.toggle('hidden', App.growthModel !== 'auxin');
+    el('statolithToggle').checked = App.statoliths;
+    el('resourceToggle').checked = App.resources;
+    el('tipMovement').value = App.tipMovement;
+    el('chamberPreset').value = App.chamber.preset;
+    renderChamberInfo();
+    renderProtocol();
+    renderVarietyCards();
+    setGravity(s.gravity ?? App.gravity);  // Last: it re-suggests the control gravity
+}
+
+/* Replace the current experiment with a saved session. Everything
+   is checked before anything changes; throws if the data is bad. */
+function applySession(data) {
+    if (!data || data.format !== SESSION_FORMAT) throw new Error('Expected { "format": "' + SESSION_FORMAT + '", ... }');
+    if (!data.setup || !Array.isArray(data.trials)) throw new Error('The session has no setup or trials');
+    if (data.measured && !(Array.isArray(data.measured.points) && Array.isArray(data.measured.keys))) throw new Error('The measured data is damaged');
+    const varieties = data.varieties && Object.keys(data.varieties).length
+        ? parseVarietyFile(JSON.stringify({ varieties: data.varieties })) : {};
+    // Plants need their varieties registered to load
+    const known = { ...VARIETIES };
+    Object.assign(VARIETIES, varieties);
+    let run = null;
+    try {
+        checkSetup(data.setup);
+        if (data.run) {
+            run = { ...data.run, plant: restorePlant(data.run.plant),
+                    comparePlant: data.run.comparePlant ? restorePlant(data.run.comparePlant) : null };
         }
-        return count;
-    };
-    
-    App.dataPoints.push({
-        time: App.elapsedMs / 60000,
-        variety: App.variety,
-        gravity: App.gravity,
-        light: App.lightDir,
-        stemLen: parseFloat(App.plant.shoot.totalLength().toFixed(1)),
-        rootDep: parseFloat(App.plant.root.totalLength().toFixed(1)),
-        branches: countBranches(App.plant.shoot)
+    } catch (err) {
+        Object.keys(VARIETIES).forEach(id => { if (!(id in known)) delete VARIETIES[id]; });
+        Object.assign(VARIETIES, known);
+        throw err;
+    }
+    if (Object.keys(varieties).length) saveVarieties();
+
+    if (App.plant) resetExperiment();
+    applySetup(data.setup);
+    App.trials = data.trials;
+    App.measured = data.measured ?? null;
+    App.nextTrialId = data.nextTrialId ?? App.trials.reduce((n, t) => Math.max(n, t.id + 1), 1);
+    App.detailTrialId = null;
+    el('predictionText').value = data.hypothesis ?? '';
+
+    const log = el('observationsLog');
+    log.innerHTML = '';
+    (data.observations || []).forEach(text => {
+        const p = document.createElement('p');
+        p.className = 'observation-entry';
+        p.textContent = text;
+        log.appendChild(p);
     });
-    updateTable(); drawChart();
+    if (!log.children.length) log.innerHTML = '<p class="observation-entry initial">Start an experiment to begin recording.</p>';
+    log.scrollTop = log.scrollHeight;
+
+    if (run) {
+        App.plant = run.plant;
+        App.comparePlant = run.comparePlant;
+        App.seed = run.seed;
+        App.simMinutes = run.simMinutes;
+        App.nextSampleMin = run.nextSampleMin;
+        App.protocolNext = run.protocolNext;
+        App.protocolStart = run.protocolStart;
+        App.stagesLogged = run.stagesLogged;
+        App.isComplete = !!run.complete;
+        App.activeTrialId = run.activeTrialId;
+        Object.assign(App.clinostat, run.clinostat);
+        Object.assign(App.control.clinostat, run.controlClinostat);
+        // Sessions saved before histories were kept have no replay
+        App.history = run.history ?? null;
+        App.compareHistory = run.compareHistory ?? null;
+        const trial = activeTrial();
+        if (trial && trial.status === 'running') trial.status = 'paused';
+
+        el('startExperiment').disabled = App.isComplete;
+        el('stopExperiment').disabled = true;
+        setSetupDisabled(true);
+        if (App.isComplete) {
+            const msg = el('statusMessage');
+            msg.textContent = App.plant.isStarved() ? 'Growth Stopped' : 'Life Cycle Complete';
+            msg.className = 'status-message complete';
+        }
+        el('elapsedTime').textContent = fmtSimTime(App.simMinutes);
+        updateLiveData();
+    }
+    renderReplayBar();
+    renderTrialList(); updateTable(); drawChart(); updateStats(); renderTrialDetails();
+    renderCanvas();
 }
 
-function recordComparePoint() {
-    if (!App.comparePlant) return;
-    App.compareData.push({
-        time: App.elapsedMs / 60000,
-        stemLen: parseFloat(App.comparePlant.shoot.totalLength().toFixed(1)),
-        rootDep: parseFloat(App.comparePlant.root.totalLength().toFixed(1)),
-    });
-    drawChart();
+// The autosaved session, then any shared setup in the address
+async function restoreSession() {
+    try {
+        const data = await sessionRequest('readonly', store => store.get(SESSION_KEY));
+        if (data) {
+            applySession(data);
+            logObs('Session restored from ' + new Date(data.saved).toLocaleString() +
+                   (App.plant && !App.isComplete ? ' — paused at ' + fmtSimTime(App.simMinutes) + ', press Start to continue.' : '.'));
+        }
+    } catch (err) {
+        logObs('Saved session not restored (' + err.message + ').');
+        App.session.failed = true;
+    }
+    App.session.ready = true;
+    if (location.search) {
+        openShareLink(new URLSearchParams(location.search));
+        history.replaceState(null, '', location.pathname + location.hash);
+    }
 }
 
-function updateTable() {
-    const tbody = el('dataTableBody');
-    tbody.innerHTML = '';
-    if (!App.dataPoints.length) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-table">No data recorded yet.</td></tr>';
+function exportSession() {
+    downloadBlob(new Blob([JSON.stringify(sessionData(), null, 2)], { type: 'application/json' }),
+                 'plant-session-' + new Date().toISOString().slice(0, 10) + '.json');
+    logObs('Session saved to file.');
+}
+
+async function importSession(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (err) {
+        alert('Could not open ' + file.name + ':\nNot a valid JSON file: ' + err.message);
         return;
     }
-    for (const p of App.dataPoints) {
-        const tr = tbody.insertRow();
-        [p.time.toFixed(2),
-         VARIETIES[p.variety]?.label || p.variety,
-         p.gravity + 'g',
-         p.stemLen,
-         p.rootDep,
-         p.branches
-        ].forEach(v => { tr.insertCell().textContent = v; });
+    if ((App.plant || App.trials.length) &&
+        !confirm('Opening ' + file.name + ' replaces the current experiment, trials and observation log. Continue?')) return;
+    try {
+        applySession(data);
+    } catch (err) {
+        alert('Could not open ' + file.name + ':\n' + err.message);
+        return;
     }
+    logObs('Session opened from ' + file.name + ' (saved ' + new Date(data.saved).toLocaleString() + ').');
+    saveSession();
 }
 
-function exportData() {
-    if (!App.dataPoints.length) { alert('No data to export yet.'); return; }
-    let csv = 'Time (min),Variety,Gravity,Light,Stem Length (mm),Root Depth (mm),Branches\n';
-    for (const p of App.dataPoints) {
-        csv += [p.time.toFixed(2), VARIETIES[p.variety]?.label || p.variety,
-                p.gravity, p.light, p.stemLen, p.rootDep, p.branches].join(',') + '\n';
+/* ----------------------------------------------------------
+   Share links. Parameters (all optional):
+     variety, gravity, seed, clinostat (mode), rpm,
+     varietySpec  the variety's fields as JSON, when it is custom
+                  or retuned, so the link opens anywhere
+     light      a direction name, or angle:intensity:spectrum
+                per lamp joined by ','
+     protocol   text form, e.g. "12 h rotate 90; 24 h gravity 0"
+     model, statoliths=1, resources=1, movement,
+     chamber (preset), obstacles "x,y,r;…", moisture "x,y",
+     control    "off" or gravity,light,clinostat
+   A run in progress is shared as it started (before its protocol).
+---------------------------------------------------------- */
+function shareLink() {
+    const start = App.protocolStart ?? { gravity: App.gravity, lights: App.lights, clinostat: App.clinostat.mode, rpm: App.clinostat.rpm };
+    const light = lightsLabel(start.lights);
+    const q = new URLSearchParams({
+        variety: App.variety,
+        gravity: start.gravity,
+        light: LIGHT_DIRECTIONS.includes(light) ? light : start.lights.map(l => [l.angle, l.intensity, l.spectrum].join(':')).join(','),
+        seed: App.plant ? App.seed : resolveSeed(),
+    });
+    if (changedVarietyIds().includes(App.variety)) q.set('varietySpec', JSON.stringify(VARIETIES[App.variety]));
+    if (start.clinostat !== 'off') { q.set('clinostat', start.clinostat); q.set('rpm', start.rpm); }
+    if (App.protocol.length) q.set('protocol', protocolText(App.protocol));
+    if (App.growthModel !== 'angle') q.set('model', App.growthModel);
+    if (App.statoliths) q.set('statoliths', 1);
+    if (App.resources) q.set('resources', 1);
+    if (App.tipMovement !== 'random') q.set('movement', App.tipMovement);
+    const ch = App.chamber;
+    if (ch.preset !== 'open') q.set('chamber', ch.preset);
+    if (ch.obstacles.length) q.set('obstacles', ch.obstacles.map(o => [o.x, o.y, o.r].join(',')).join(';'));
+    if (ch.moisture) q.set('moisture', ch.moisture.x + ',' + ch.moisture.y);
+    const c = App.control;
+    if (!App.compareMode) q.set('control', 'off');
+    else if (!c.auto || c.light !== 'match' || c.clinostat.mode !== 'off') q.set('control', [c.gravity, c.light, c.clinostat.mode].join(','));
+    return location.origin + location.pathname + '?' + q;
+}
+
+// Throws if a parameter can't be read
+function setupFromLink(q) {
+    const num = (key, text) => {
+        const v = Number(text);
+        if (text.trim() === '' || !Number.isFinite(v)) throw new Error('"' + key + '" must be a number, not "' + text + '"');
+        return v;
+    };
+    const nums = (key, text, n) => {
+        const v = text.split(',').map(t => num(key, t));
+        if (v.length !== n) throw new Error('"' + key + '" needs ' + n + ' numbers separated by commas');
+        return v;
+    };
+    const s = {};
+    if (q.has('variety')) s.variety = q.get('variety');
+    if (q.has('varietySpec')) {
+        if (s.variety === undefined) throw new Error('"varietySpec" needs a "variety"');
+        let spec;
+        try {
+            spec = JSON.parse(q.get('varietySpec'));
+        } catch (err) {
+            throw new Error('Cannot read "varietySpec": ' + err.message);
+        }
+        s.varietySpec = validateVariety(s.variety, spec);
     }
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
-    a.download = 'plant_growth_data.csv'; a.click();
-    URL.revokeObjectURL(a.href);
+    if (q.has('gravity')) s.gravity = num('gravity', q.get('gravity'));
+    if (q.has('seed')) {
+        const seed = parseSeed(q.get('seed'));
+        if (seed === null) throw new Error('Cannot read seed "' + q.get('seed') + '"');
+        s.seed = String(seed); s.autoSeed = false;
+    }
+    if (q.has('light')) {
+        const light = q.get('light');
+        s.lights = LIGHT_DIRECTIONS.includes(light) ? light : light.split(',').map(l => {
+            const [angle, intensity, spectrum] = l.split(':');
+            return { angle: num('light', angle ?? ''), intensity: num('light', intensity ?? ''), spectrum };
+        });
+    }
+    // The rest default as on a fresh page, so the link is the whole setup
+    s.clinostat = { mode: q.get('clinostat') ?? 'off', ...(q.has('rpm') && { rpm: num('rpm', q.get('rpm')) }) };
+    s.protocol = q.get('protocol') ? parseProtocol(q.get('protocol')) : [];
+    s.model = q.get('model') ?? 'angle';
+    s.statoliths = q.get('statoliths') === '1';
+    s.resources = q.get('resources') === '1';
+    s.tipMovement = q.get('movement') ?? 'random';
+    s.chamber = {
+        preset: q.get('chamber') ?? 'open',
+        obstacles: q.get('obstacles') ? q.get('obstacles').split(';').map(o => {
+            const [x, y, r] = nums('obstacles', o, 3);
+            return { x, y, r };
+        }) : [],
+        moisture: q.get('moisture') ? (([x, y]) => ({ x, y }))(nums('moisture', q.get('moisture'), 2)) : null,
+    };
+    const control = q.get('control');
+    s.compare = control !== 'off';
+    if (control && control !== 'off') {
+        const [gravity, light, clinostat] = control.split(',');
+        s.control = { gravity: num('control', gravity), light, clinostat, auto: false };
+    } else {
+        s.control = { light: 'match', clinostat: 'off', auto: true };
+    }
+    return s;
 }
 
-function clearData() {
-    if (confirm('Clear all recorded data?')) {
-        App.dataPoints = []; App.compareData = [];
-        updateTable(); drawChart();
+function openShareLink(q) {
+    let setup;
+    try {
+        setup = setupFromLink(q);
+        checkSetup(setup);
+    } catch (err) {
+        alert('Could not open the shared setup:\n' + err.message);
+        return;
+    }
+    const spec = setup.varietySpec, mine = VARIETIES[setup.variety];
+    if (spec && mine && JSON.stringify(spec) !== JSON.stringify(validateVariety(setup.variety, mine)) &&
+        !confirm('The shared setup uses its own "' + spec.label + '" variety, which differs from yours. Replace yours with it?')) return;
+    if (App.plant && !confirm('Open the shared setup? The current run is reset; recorded trials are kept.')) return;
+    if (App.plant) resetExperiment();
+    if (spec) {
+        VARIETIES[setup.variety] = spec;
+        saveVarieties();
+    }
+    applySetup(setup);
+    logObs('Shared setup opened — ' + VARIETIES[App.variety].label + ', ' + conditionsLabel(experimentConditions()) +
+           ', seed ' + el('seedInput').value + (App.protocol.length ? ', protocol ' + protocolLabel(App.protocol) : '') + '.');
+}
+
+async function copyShareLink() {
+    const link = shareLink();
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('Share link copied to the clipboard:\n' + link);
+    } catch (err) {
+        prompt('Copy this share link:', link);
     }
+    logObs('Share link created.');
 }
 
 function logObs(msg) {
@@ -1108,6 +3543,13 @@ function logObs(msg) {
     p.textContent = '[' + new Date().toLocaleTimeString() + '] ' + msg;
     log.appendChild(p);
     log.scrollTop = log.scrollHeight;
+
+    const trial = activeTrial();
+    if (trial) {
+        trial.log.push({ clock: new Date().toISOString(), sim: fmtSimTime(App.simMinutes), msg });
+        if (trial.id === App.detailTrialId) renderTrialDetails();
+    }
+    scheduleSave();
 }
 
 function initAccordion() {
@@ -1139,17 +3581,16 @@ function setTheme(t) {
 
 function el(id) { return document.getElementById(id); }
 function setVal(id, v) { const e = el(id); if (e) e.textContent = v; }
-function fmtTime(ms) { const s = Math.floor(ms / 1000); return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0'); }
-function dirToRad(dir) { return { top: -Math.PI / 2, bottom: Math.PI / 2, left: Math.PI, right: 0 }[dir] ?? 0; }
-function angleDiff(a, b) {
-    let d = a - b;
-    while (d > Math.PI) d -= 2 * Math.PI;
-    while (d < -Math.PI) d += 2 * Math.PI;
-    return d;
+function downloadBlob(blob, name) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name; a.click();
+    URL.revokeObjectURL(a.href);
 }
-function collectPts(seg, out) {
-    out.push({ x: seg.x, y: seg.y }, { x: seg.endX, y: seg.endY });
-    seg.children.forEach(c => collectPts(c, out));
+function fmtSimTime(min) {
+    const total = Math.floor(min);
+    const d = Math.floor(total / 1440), h = Math.floor(total / 60) % 24, m = total % 60;
+    return d + 'd ' + String(h).padStart(2, '0') + 'h ' + String(m).padStart(2, '0') + 'm';
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -1157,6 +3598,10 @@ document.addEventListener('DOMContentLoaded', () => {
     initAccordion();
     initStarField();
     initZoom();
+    initLightDrag();
+    initChamberTools();
+    loadSavedVarieties();
+    renderVarietyCards();
     drawAllDiagrams();
     renderCanvas();
     drawChart();
@@ -1164,40 +3609,178 @@ document.addEventListener('DOMContentLoaded', () => {
     el('startExperiment')?.addEventListener('click', startExperiment);
     el('stopExperiment')?.addEventListener('click', stopExperiment);
     el('resetExperiment')?.addEventListener('click', resetExperiment);
-    el('exportCSV')?.addEventListener('click', exportData);
+    el('exportCSV')?.addEventListener('click', () => toggleExportOptions());
+    el('downloadExport')?.addEventListener('click', exportData);
+    el('importMeasured')?.addEventListener('click', () => el('measuredFile').click());
+    el('measuredFile')?.addEventListener('change', e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) openMeasuredFile(file);
+    });
+    el('applyImport')?.addEventListener('click', applyImport);
+    el('cancelImport')?.addEventListener('click', closeImportPanel);
+    el('cancelExport')?.addEventListener('click', () => toggleExportOptions(false));
+    el('exportSession')?.addEventListener('click', exportSession);
+    el('importSession')?.addEventListener('click', () => el('sessionFile').click());
+    el('sessionFile')?.addEventListener('change', e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importSession(file);
+    });
+    el('shareLink')?.addEventListener('click', copyShareLink);
+
+    el('replayPlay')?.addEventListener('click', toggleReplay);
+    el('replayBack')?.addEventListener('click', () => stepReplay(-1));
+    el('replayForward')?.addEventListener('click', () => stepReplay(1));
+    el('replaySlider')?.addEventListener('input', e => {
+        App.replay.playing = false;
+        seekReplay(parseInt(e.target.value, 10));
+    });
+    el('replaySpeed')?.addEventListener('change', e => { App.replay.speed = parseFloat(e.target.value); });
+    el('exportImage')?.addEventListener('click', () => exportImage(el('imageFormat').value));
+    el('exportTimelapse')?.addEventListener('click', () => exportTimelapse(el('timelapseFormat').value));
     el('clearData')?.addEventListener('click', clearData);
+    el('newSeed')?.addEventListener('click', () => { el('seedInput').value = randomSeed(); });
+
+    document.querySelectorAll('.speed-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const sp = this.dataset.speed;
+            App.speed = sp === 'instant' ? sp : parseInt(sp, 10);
+            App.stepBudget = 0;
+            document.querySelectorAll('.speed-btn').forEach(b => b.classList.toggle('active', b === this));
+            if (App.isRunning) logObs('Speed set to: ' + SPEEDS[App.speed]);
+        });
+    });
 
     document.querySelectorAll('.gravity-btn').forEach(btn => {
         btn.addEventListener('click', function() {
             const newGravity = parseFloat(this.dataset.gravity);
             if (App.gravity !== newGravity) {
-                App.gravity = newGravity;
-                document.querySelectorAll('.gravity-btn').forEach(b => b.classList.remove('active'));
-                this.classList.add('active');
-                App.compareMode = (newGravity === 0);
-                logObs('Gravity changed to: ' + (newGravity === 1 ? 'Earth (1g)' : 'Microgravity (0g)'));
+                setGravity(newGravity);
+                logObs('Gravity changed to: ' + gravityLabel(newGravity));
             }
         });
     });
+    el('gravitySlider')?.addEventListener('input', e => {
+        setGravity(parseFloat(e.target.value));
+    });
+    el('gravitySlider')?.addEventListener('change', () => {
+        logObs('Gravity changed to: ' + gravityLabel(App.gravity));
+    });
 
-    document.querySelectorAll('.plant-card').forEach(card => {
-        card.addEventListener('click', function() {
-            document.querySelectorAll('.plant-card').forEach(c => c.classList.remove('active'));
-            this.classList.add('active');
-            App.variety = this.dataset.variety;
-            logObs('Plant variety changed to: ' + VARIETIES[App.variety].label);
-        });
+    el('clinostatMode')?.addEventListener('change', e => {
+        setClinostatMode(e.target.value);
+        logObs('Clinostat set to: ' + clinostatLabel());
+    });
+    el('clinostatRpm')?.addEventListener('change', e => {
+        const rpm = parseFloat(e.target.value);
+        if (!(rpm > 0)) { e.target.value = App.clinostat.rpm; return; }
+        App.clinostat.rpm = Math.min(rpm, 120);
+        e.target.value = App.clinostat.rpm;
+        logObs('Clinostat speed set to: ' + App.clinostat.rpm + ' rpm');
+    });
+
+    el('growthModel')?.addEventListener('change', e => {
+        App.growthModel = e.target.value;
+        el('auxinOptions').classList.toggle('hidden', App.growthModel !== 'auxin');
+    });
+    el('statolithToggle')?.addEventListener('change', e => {
+        App.statoliths = e.target.checked;
+    });
+    el('resourceToggle')?.addEventListener('change', e => {
+        App.resources = e.target.checked;
+    });
+    el('chamberPreset')?.addEventListener('change', e => {
+        App.chamber.preset = e.target.value;
+        renderChamberInfo();
+        renderCanvas();
+    });
+    el('chamberTool')?.addEventListener('change', e => {
+        App.chamberTool = e.target.value;
+        renderChamberInfo();
+    });
+    el('clearChamber')?.addEventListener('click', () => {
+        App.chamber.obstacles = [];
+        App.chamber.moisture = null;
+        renderChamberInfo();
+        renderCanvas();
+    });
+    el('tipMovement')?.addEventListener('change', e => {
+        App.tipMovement = e.target.value;
+    });
+    el('showTrace')?.addEventListener('change', e => {
+        App.showTrace = e.target.checked;
+        renderCanvas();
+    });
+    el('showAuxin')?.addEventListener('change', e => {
+        App.showAuxin = e.target.checked;
+        renderCanvas();
+    });
+
+    el('addProtocolStep')?.addEventListener('click', () => {
+        const last = App.protocol[App.protocol.length - 1];
+        App.protocol.push({ at: last ? last.at + 2 : 0, action: 'rotate', value: 90 });
+        renderProtocol();
+    });
+    el('protocolPreset')?.addEventListener('change', e => {
+        const preset = PROTOCOL_PRESETS[e.target.value];
+        if (preset) App.protocol = preset.map(st => ({ ...st }));
+        else if (e.target.value === 'clear') App.protocol = [];
+        e.target.value = '';
+        renderProtocol();
+    });
+    renderProtocol();
+
+    el('compareToggle')?.addEventListener('change', e => {
+        App.compareMode = e.target.checked;
+        el('controlSettings').classList.toggle('hidden', !App.compareMode);
+        el('controlData').classList.toggle('hidden', !App.compareMode);
+        logObs('Side-by-side control ' + (App.compareMode ? 'enabled' : 'disabled'));
+        renderCanvas();
+    });
+    el('controlGravity')?.addEventListener('change', e => {
+        const g = parseFloat(e.target.value);
+        if (!(g >= 0 && g <= GRAVITY_MAX)) { e.target.value = App.control.gravity; return; }
+        App.control.gravity = Math.round(g * 100) / 100;
+        App.control.auto = false;
+        renderCanvas();
+    });
+    el('controlLight')?.addEventListener('change', e => {
+        App.control.light = e.target.value;
+        renderCanvas();
+    });
+    el('controlClinostat')?.addEventListener('change', e => {
+        const mode = e.target.value;
+        Object.assign(App.control.clinostat, { mode, rpm: CLINOSTAT_MODES[mode].rpm });
+        renderCanvas();
+    });
+
+    el('editVariety')?.addEventListener('click', () => openVarietyEditor(App.variety));
+    el('newVariety')?.addEventListener('click', newVariety);
+    el('saveVariety')?.addEventListener('click', saveEditedVariety);
+    el('cancelVariety')?.addEventListener('click', cancelVarietyEdit);
+    el('deleteVariety')?.addEventListener('click', deleteEditedVariety);
+    el('exportVarieties')?.addEventListener('click', exportVarieties);
+    el('importVarieties')?.addEventListener('click', () => el('varietyFile').click());
+    el('varietyFile')?.addEventListener('change', e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importVarieties(file);
     });
 
     document.querySelectorAll('.light-btn').forEach(btn => {
         btn.addEventListener('click', function() {
-            document.querySelectorAll('.light-btn').forEach(b => b.classList.remove('active'));
-            this.classList.add('active');
-            App.lightDir = this.dataset.direction;
-            if (App.isRunning) logObs('Light source changed to: ' + App.lightDir);
-            renderCanvas();
+            setLights(lightsFromDir(this.dataset.direction));
+            lightsChanged();
         });
     });
+    el('addLight')?.addEventListener('click', () => {
+        // New lamps start opposite the last one so both are visible
+        const last = App.lights[App.lights.length - 1];
+        App.lights.push({ angle: last ? (last.angle + 180) % 360 : 0, intensity: 1, spectrum: 'blue' });
+        renderLightList(); renderCanvas(); lightsChanged();
+    });
+    renderLightList();
 
     el('showStemLength')?.addEventListener('change', e => {
         App.chartToggles.stemLength = e.target.checked; drawChart();
@@ -1206,6 +3789,18 @@ document.addEventListener('DOMContentLoaded', () => {
         App.chartToggles.rootDepth = e.target.checked; drawChart();
     });
 
+    document.querySelectorAll('input[name="chartView"]').forEach(r => r.addEventListener('change', e => {
+        App.chartView = e.target.value;
+        drawChart();
+    }));
+    el('chartMetric').addEventListener('change', e => {
+        App.chartMetric = e.target.value;
+        el('lengthToggles').classList.toggle('hidden', App.chartMetric !== 'lengths');
+        drawChart();
+    });
+    el('statsGroupA').addEventListener('change', e => { App.statsPair.a = e.target.value; updateStats(); });
+    el('statsGroupB').addEventListener('change', e => { App.statsPair.b = e.target.value; updateStats(); });
+
     document.querySelectorAll('.nav-links a').forEach(a => {
         a.addEventListener('click', e => {
             e.preventDefault();
@@ -1213,6 +3808,12 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Any edit may change the session; leaving the page saves at once
+    ['input', 'change', 'click'].forEach(type => document.addEventListener(type, scheduleSave));
+    document.addEventListener('visibilitychange', () => { if (document.hidden) saveSession(); });
+    window.addEventListener('pagehide', saveSession);
+    restoreSession();
+
     let resizeTimer;
     window.addEventListener('resize', () => {
         clearTimeout(resizeTimer);
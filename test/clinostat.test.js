@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runSimulation, gravityStimulus, gravityParts, settleStatoliths, STATOLITHS, STEP_MINUTES } = require('../model.js');
+
+test('clinostat speed and axes change how strongly gravity is felt', () => {
+    const felt = (mode, rpm) => gravityStimulus(1, mode, rpm, 0, STEP_MINUTES).felt;
+    assert.equal(felt('off', 0), 1);
+    assert.ok(felt('slow', 2) < felt('off', 0));
+    assert.ok(felt('fast', 60) < felt('slow', 2));
+    assert.notEqual(felt('rpm', 10), felt('slow', 10));
+});
+
+test('whole turns cancel the mean vector but not the felt magnitude', () => {
+    const g = gravityStimulus(1, 'slow', 2, 0, STEP_MINUTES);  // 10 whole turns
+    assert.ok(Math.hypot(g.x, g.y) < 1e-9);
+    assert.ok(g.felt > 0);
+});
+
+test('every clinostat mode grows differently from 0 g', () => {
+    const run = (gravity, mode, rpm) => runSimulation({
+        variety: 'cress', gravity, seed: 5, steps: 576, clinostat: { mode, rpm },
+    }).geometry;
+    const weightless = run(0, 'off');
+    const modes = [run(1, 'slow', 2), run(1, 'fast', 60), run(1, 'rpm', 10)];
+    for (const m of modes) assert.notDeepEqual(m, weightless);
+    assert.notDeepEqual(modes[0], modes[1]);
+    assert.notDeepEqual(modes[1], modes[2]);
+});
+
+test('statoliths settle part-way under slow rotation and not at all under fast', () => {
+    const pile = rpm => {
+        const p = { x: 0, y: 0 };
+        let sensed;
+        for (let step = 0; step < 600; step++) {
+            const m0 = step * STEP_MINUTES;
+            sensed = settleStatoliths(p, gravityParts(1, rpm ? 'slow' : 'off', rpm, m0), 'root', STEP_MINUTES);
+        }
+        return sensed.mag;
+    };
+    const still = pile(0), slow = pile(0.05), fast = pile(60);
+    assert.ok(Math.abs(still - 1 / (1 + STATOLITHS.restoring)) < 1e-9);
+    assert.ok(slow > STATOLITHS.root.threshold && slow < still);
+    assert.ok(fast < 0.01);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runSimulation } = require('../model.js');
+
+const STEPS = 576;  // 48 h
+
+test('the same seed grows the same plant', () => {
+    const opts = { variety: 'cress', gravity: 1, light: 'left', seed: 5, steps: STEPS };
+    assert.deepEqual(runSimulation(opts), runSimulation(opts));
+});
+
+test('a text seed repeats on the clinostat', () => {
+    const opts = { variety: 'bean', gravity: 0.16, light: 'top', seed: 'moon-42', steps: STEPS, clinostat: { mode: 'slow' } };
+    assert.deepEqual(runSimulation(opts), runSimulation(opts));
+});
+
+test('different seeds grow different plants', () => {
+    const a = runSimulation({ variety: 'cress', gravity: 0, seed: 1, steps: STEPS });
+    const b = runSimulation({ variety: 'cress', gravity: 0, seed: 2, steps: STEPS });
+    assert.notDeepEqual(a.geometry, b.geometry);
+});
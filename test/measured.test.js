@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, guessColumns, readMeasurements, fitStats } = require('../model.js');
+
+test('guessColumns maps the README example header', () => {
+    const csv = parseCsv('time_h,stem_mm,root_mm,root_angle_deg\n12,1.5,2.0,0\n24,6.1,9.8,-3\n');
+    assert.deepEqual(guessColumns(csv.header), { time: 0, stemLen: 1, rootDep: 2, angle: 3 });
+});
+
+test('parseCsv reads semicolons with decimal commas and skips comments', () => {
+    const csv = parseCsv('# bench run 3\ntime;stem\n\n12;1,5\n# re-measured\n24;6,1\n');
+    assert.equal(csv.delimiter, ';');
+    assert.deepEqual(csv.header, ['time', 'stem']);
+    assert.deepEqual(csv.rows, [{ line: 4, cells: ['12', '1,5'] }, { line: 6, cells: ['24', '6,1'] }]);
+    const { points, errors } = readMeasurements(csv, { columns: { time: 0, stemLen: 1 } });
+    assert.deepEqual(points, [{ time: 12, stemLen: 1.5 }, { time: 24, stemLen: 6.1 }]);
+    assert.deepEqual(errors, []);
+});
+
+test('parseCsv reads tabs and CRLF line ends', () => {
+    const csv = parseCsv('hours\troot\r\n1\t2.5\r\n2\t3\r\n');
+    assert.equal(csv.delimiter, '\t');
+    assert.deepEqual(csv.rows.map(r => r.cells), [['1', '2.5'], ['2', '3']]);
+});
+
+test('parseCsv keeps quoted delimiters, quotes and line breaks', () => {
+    const csv = parseCsv('time,note,stem\n1,"dish 2, left",3\n2,"said ""tall""\nthen bent",4\n3,x,5\n');
+    assert.deepEqual(csv.rows.map(r => r.cells[1]), ['dish 2, left', 'said "tall"\nthen bent', 'x']);
+    assert.deepEqual(csv.rows.map(r => r.line), [2, 3, 5]);
+    assert.throws(() => parseCsv('time,stem\n1,"2\n'), /Line 2: a quoted value is never closed/);
+    assert.throws(() => parseCsv('time,stem\n'), /Expected a header row/);
+});
+
+test('readMeasurements lists skipped rows by line number', () => {
+    const csv = parseCsv('min,stem,angle\n60,1,5\nsoon,2,0\n120,-1,0\n180,,\n240,3,bent\n300,4,-10\n');
+    const { points, errors, keys } = readMeasurements(csv, {
+        columns: { time: 0, stemLen: 1, rootDep: -1, angle: 2 }, timeUnit: 'min', angleKey: 'rootAngle',
+    });
+    assert.deepEqual(keys, ['stemLen', 'rootAngle']);
+    assert.deepEqual(points, [{ time: 1, stemLen: 1, rootAngle: 5 }, { time: 5, stemLen: 4, rootAngle: -10 }]);
+    assert.deepEqual(errors, [
+        { line: 3, message: 'time "soon" is not a number (0 or more)' },
+        { line: 4, message: 'stem length -1 is below 0' },
+        { line: 5, message: 'no measurements' },
+        { line: 6, message: 'angle "bent" is not a number' },
+    ]);
+});
+
+test('fitStats scores against hand-computed RMSE and R²', () => {
+    const sim = [{ time: 0, stemLen: 0 }, { time: 10, stemLen: 10 }, { time: 20, stemLen: 30 }];
+    // Simulated at 5, 10, 15: 5, 10, 20 (linear between samples); 30 h is past the run
+    const measured = [
+        { time: 5, stemLen: 6 }, { time: 10, stemLen: 8 }, { time: 15, stemLen: 23 },
+        { time: 12, stemLen: null }, { time: 30, stemLen: 50 },
+    ];
+    // Residuals 1, -2, 3: SSres 14; measured mean 37/3, SStot 518/3
+    const { n, rmse, r2 } = fitStats(sim, measured, 'stemLen');
+    assert.equal(n, 3);
+    assert.ok(Math.abs(rmse - Math.sqrt(14 / 3)) < 1e-12);
+    assert.ok(Math.abs(r2 - (1 - 14 * 3 / 518)) < 1e-12);
+    assert.ok(Number.isNaN(fitStats(sim, [{ time: 5, stemLen: 2 }], 'stemLen').r2));
+    assert.equal(fitStats(sim, [{ time: 40, stemLen: 2 }], 'stemLen').n, 0);
+});
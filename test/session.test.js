@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Plant, STEP_MINUTES, gravityStimulus, lightsFromDir, serializePlant, restorePlant } = require('../model.js');
+
+function grow(plant, from, to) {
+    for (let step = from; step < to; step++) {
+        const m0 = step * STEP_MINUTES;
+        plant.update(gravityStimulus(1, 'slow', 2, m0, m0 + STEP_MINUTES), plant.lights);
+    }
+    return plant;
+}
+
+test('a restored plant grows on exactly as if it had never been saved', () => {
+    const opts = { statoliths: true, resources: true, chamber: { preset: 'dish' }, tipMovement: 'nutation' };
+    const whole = grow(new Plant('bean', 1, lightsFromDir('top'), 9, opts), 0, 600);
+
+    const saved = serializePlant(grow(new Plant('bean', 1, lightsFromDir('top'), 9, opts), 0, 250));
+    const resumed = grow(restorePlant(JSON.parse(JSON.stringify(saved))), 250, 600);
+
+    assert.deepEqual(serializePlant(resumed), serializePlant(whole));
+});
+
+test('restorePlant rejects data that is not a saved plant', () => {
+    assert.throws(() => restorePlant({}), /Not a saved plant/);
+    const saved = serializePlant(new Plant('cress', 1, lightsFromDir('top'), 1));
+    assert.throws(() => restorePlant({ ...saved, variety: 'nope' }), /Unknown variety "nope"/);
+});
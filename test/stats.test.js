@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tTest, tCritical, tTwoSidedP, summarize } = require('../model.js');
+
+// Reference values integrated numerically from the t density
+const close = (actual, expected, tol = 1e-4) =>
+    assert.ok(Math.abs(actual - expected) < tol, actual + ' is not within ' + tol + ' of ' + expected);
+
+test('tCritical matches the t table', () => {
+    close(tCritical(0.95, 4), 2.776, 1e-3);
+    close(tCritical(0.95, 10), 2.228, 1e-3);
+    close(tCritical(0.99, 4), 4.604, 1e-3);
+});
+
+test('tTwoSidedP matches known p-values', () => {
+    close(tTwoSidedP(2, 8), 0.080516);
+    close(tTwoSidedP(-2, 8), 0.080516);
+    assert.equal(tTwoSidedP(0, 8), 1);
+    assert.equal(tTwoSidedP(Infinity, 8), 0);
+});
+
+test('Welch and Student tests of unequal groups', () => {
+    const r = tTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10, 12]);
+    assert.equal(r.diff, -4);
+    close(r.welch.t, -2.376354);
+    close(r.welch.df, 6.972256);
+    close(r.welch.p, 0.049284);
+    close(r.student.t, -2.215647);
+    assert.equal(r.student.df, 9);
+    close(r.student.p, 0.053946);
+});
+
+test('tTest needs two values per group and treats equal constants as no difference', () => {
+    assert.equal(tTest([1], [2, 3]), null);
+    assert.equal(tTest([3, 3], [3, 3]).welch.p, 1);
+});
+
+test('summarize gives the 95% CI half-width', () => {
+    const s = summarize([1, 2, 3, 4, 5]);
+    assert.equal(s.mean, 3);
+    close(s.sd, Math.sqrt(2.5), 1e-12);
+    close(s.ci, 2.776445 * Math.sqrt(2.5) / Math.sqrt(5));
+    assert.deepEqual(summarize([7]), { n: 1, mean: 7, sd: 0, ci: 0 });
+});